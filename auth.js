@@ -0,0 +1,86 @@
+// Client authentication with API keys or bearer tokens from a JSON clients
+// file. Without any configured clients the server stays public and callers
+// are told apart by IP address.
+import { createHash, timingSafeEqual } from 'crypto';
+import { readFileSync } from 'fs';
+
+// JSON-RPC error code for requests without a valid key (server error range, 401 as a mnemonic)
+export const UNAUTHORIZED = -32001;
+
+function digest(key) {
+  return createHash('sha256').update(String(key)).digest();
+}
+
+// Key from "Authorization: Bearer <key>" or "X-API-Key: <key>"
+export function keyFromHeaders(headers = {}) {
+  const authorization = headers.authorization || '';
+  const bearer = /^Bearer\s+(.+)$/i.exec(authorization.trim());
+  return bearer?.[1].trim() || headers['x-api-key']?.trim() || null;
+}
+
+export function canUseTool(client, tool) {
+  return !client.allowedTools || client.allowedTools.includes(tool);
+}
+
+export class ClientRegistry {
+  constructor({ clients = [], defaultRateLimit = 50 } = {}) {
+    this.defaultRateLimit = defaultRateLimit;
+    this.clients = clients.map(client => {
+      if (!client.name || !client.key) {
+        throw new Error('Every client needs a name and a key');
+      }
+      return {
+        id: `key:${client.name}`,
+        name: client.name,
+        keyDigest: digest(client.key),
+        rateLimit: client.rateLimit || defaultRateLimit,
+        allowedTools: client.allowedTools || null
+      };
+    });
+
+    const names = new Set(this.clients.map(client => client.name));
+    if (names.size !== this.clients.length) {
+      throw new Error('Client names must be unique');
+    }
+  }
+
+  static fromFile(file, options = {}) {
+    try {
+      return new ClientRegistry({ ...options, ...JSON.parse(readFileSync(file, 'utf8')) });
+    } catch (error) {
+      throw new Error(`Failed to load clients file ${file}: ${error.message}`);
+    }
+  }
+
+  get enabled() {
+    return this.clients.length > 0;
+  }
+
+  // Resolve the client behind a request, or throw when authentication is
+  // enabled and the key is missing or unknown
+  authenticate(headers, ip) {
+    if (!this.enabled) {
+      return {
+        id: `ip:${ip}`,
+        name: ip,
+        authenticated: false,
+        rateLimit: this.defaultRateLimit,
+        allowedTools: null
+      };
+    }
+
+    const key = keyFromHeaders(headers);
+    if (!key) {
+      throw new Error('Unauthorized: send an API key as "Authorization: Bearer <key>" or "X-API-Key: <key>"');
+    }
+
+    const keyDigest = digest(key);
+    const client = this.clients.find(candidate => timingSafeEqual(candidate.keyDigest, keyDigest));
+    if (!client) {
+      throw new Error('Unauthorized: invalid API key');
+    }
+
+    const { keyDigest: _, ...identity } = client;
+    return { ...identity, authenticated: true };
+  }
+}
@@ -0,0 +1,183 @@
+// Google Maps Platform spend tracking with daily and monthly caps. Every
+// call that reaches Google is priced by SKU before it is made; past the
+// warning threshold it is logged, past a cap it is refused.
+import { readFileSync, renameSync, writeFileSync } from 'fs';
+import { logger } from './logger.js';
+
+// List prices in USD per 1000 billable units (requests, or elements for the Distance Matrix)
+export const DEFAULT_PRICES = {
+  directions: 5,
+  directions_advanced: 10, // traffic, more than 10 waypoints or waypoint optimization
+  distance_matrix: 5,
+  distance_matrix_advanced: 10, // traffic
+  geocoding: 5,
+  places_nearby_search: 32,
+  elevation: 5,
+  time_zone: 5
+};
+
+const FILE_FLUSH_DELAY = 1000; // ms to batch spend updates before writing the file
+const EPSILON = 1e-9; // sums of fractions of a cent drift in floating point
+
+export class BudgetExceededError extends Error {
+  constructor(period, cap, resetsAt) {
+    super(`Google Maps ${period} budget of $${cap.toFixed(2)} is used up; requests resume after ${resetsAt}`);
+    this.name = 'BudgetExceededError';
+    this.period = period;
+    this.resetsAt = resetsAt;
+  }
+}
+
+function count(list) {
+  return Array.isArray(list) ? list.length : String(list).split('|').length;
+}
+
+// SKU and billable units of one provider request
+export function billingFor(method, params) {
+  const traffic = params.mode === 'driving' && params.departure_time !== undefined;
+
+  switch (method) {
+    case 'directions': {
+      const waypoints = params.waypoints ? String(params.waypoints).split('|') : [];
+      const advanced = traffic || waypoints.length > 10 || waypoints[0] === 'optimize:true';
+      return { sku: advanced ? 'directions_advanced' : 'directions', units: 1 };
+    }
+    case 'distancematrix':
+      return {
+        sku: traffic ? 'distance_matrix_advanced' : 'distance_matrix',
+        units: count(params.origins) * count(params.destinations)
+      };
+    case 'geocode':
+    case 'reverseGeocode':
+      return { sku: 'geocoding', units: 1 };
+    case 'placesNearby':
+      return { sku: 'places_nearby_search', units: 1 };
+    case 'elevation':
+      return { sku: 'elevation', units: 1 };
+    case 'timezone':
+      return { sku: 'time_zone', units: 1 };
+    default:
+      return { sku: method, units: 1 };
+  }
+}
+
+function dayOf(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+function monthOf(date) {
+  return date.toISOString().slice(0, 7);
+}
+
+function emptyPeriod(key) {
+  return { key, spend: 0, calls: {} };
+}
+
+export class BudgetGuard {
+  constructor({ dailyCap = null, monthlyCap = null, warnAt = 0.8, prices = {}, file = null } = {}) {
+    this.dailyCap = dailyCap;
+    this.monthlyCap = monthlyCap;
+    this.warnAt = warnAt;
+    this.prices = { ...DEFAULT_PRICES, ...prices };
+    this.file = file;
+    this.flushTimer = null;
+    this.rejected = 0;
+
+    const now = new Date();
+    this.day = emptyPeriod(dayOf(now));
+    this.month = emptyPeriod(monthOf(now));
+
+    // Spend survives restarts (Cloud Run scales to zero) when kept in a file
+    if (file) {
+      try {
+        const saved = JSON.parse(readFileSync(file, 'utf8'));
+        if (saved.day?.key === this.day.key) this.day = saved.day;
+        if (saved.month?.key === this.month.key) this.month = saved.month;
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          logger.warn('Ignoring unreadable budget file', { file, error });
+        }
+      }
+    }
+  }
+
+  // Start new periods at UTC midnight and on the first of the month
+  rollOver(now) {
+    if (this.day.key !== dayOf(now)) this.day = emptyPeriod(dayOf(now));
+    if (this.month.key !== monthOf(now)) this.month = emptyPeriod(monthOf(now));
+  }
+
+  // Price a request and record it, or throw BudgetExceededError if it would
+  // take either period over its cap
+  charge(method, params) {
+    const now = new Date();
+    this.rollOver(now);
+
+    const { sku, units } = billingFor(method, params);
+    const cost = (this.prices[sku] ?? 0) * units / 1000;
+
+    const nextDay = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1));
+    const nextMonth = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1));
+    for (const [period, spent, cap, resetsAt] of [
+      ['daily', this.day.spend, this.dailyCap, nextDay],
+      ['monthly', this.month.spend, this.monthlyCap, nextMonth]
+    ]) {
+      if (cap !== null && spent + cost > cap + EPSILON) {
+        this.rejected++;
+        logger.error('Google Maps budget exhausted, request refused', { period, cap, spent, sku });
+        throw new BudgetExceededError(period, cap, resetsAt.toISOString());
+      }
+    }
+
+    for (const [period, record, cap] of [['daily', this.day, this.dailyCap], ['monthly', this.month, this.monthlyCap]]) {
+      const before = record.spend;
+      record.spend += cost;
+      record.calls[sku] = (record.calls[sku] || 0) + units;
+      if (cap !== null && before < cap * this.warnAt && record.spend >= cap * this.warnAt) {
+        logger.warn('Google Maps budget nearly used up', { period, cap, spent: record.spend, warnAt: this.warnAt });
+      }
+    }
+
+    this.scheduleFlush();
+    return { sku, units, cost };
+  }
+
+  scheduleFlush() {
+    if (this.file && !this.flushTimer) {
+      this.flushTimer = setTimeout(() => this.flush(), FILE_FLUSH_DELAY);
+    }
+  }
+
+  flush() {
+    clearTimeout(this.flushTimer);
+    this.flushTimer = null;
+    if (!this.file) return;
+    try {
+      writeFileSync(`${this.file}.tmp`, JSON.stringify({ day: this.day, month: this.month }));
+      renameSync(`${this.file}.tmp`, this.file);
+    } catch (error) {
+      logger.error('Failed to write budget file', { file: this.file, error });
+    }
+  }
+
+  stats() {
+    this.rollOver(new Date());
+    const period = (record, cap) => ({
+      period: record.key,
+      spend: Math.round(record.spend * 10000) / 10000,
+      cap,
+      remaining: cap === null ? null : Math.max(0, Math.round((cap - record.spend) * 10000) / 10000),
+      percentUsed: cap ? Math.round(record.spend / cap * 1000) / 10 : null,
+      units: record.calls
+    });
+
+    return {
+      currency: 'USD',
+      daily: period(this.day, this.dailyCap),
+      monthly: period(this.month, this.monthlyCap),
+      warnAtPercent: Math.round(this.warnAt * 100),
+      rejected: this.rejected,
+      prices: this.prices
+    };
+  }
+}
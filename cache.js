@@ -0,0 +1,68 @@
+// In-memory response cache with per-entry TTLs and LRU eviction
+
+// Stable form of request parameters: sorted keys, trimmed lowercase
+// strings, no API key and no undefined values
+export function normalizeParams(value) {
+  if (Array.isArray(value)) return value.map(normalizeParams);
+  if (value && typeof value === 'object') {
+    return Object.keys(value)
+      .filter(k => k !== 'key' && value[k] !== undefined)
+      .sort()
+      .reduce((out, k) => ({ ...out, [k]: normalizeParams(value[k]) }), {});
+  }
+  if (typeof value === 'string') return value.trim().toLowerCase();
+  return value;
+}
+
+export class ResponseCache {
+  constructor({ maxEntries = 500 } = {}) {
+    this.maxEntries = maxEntries;
+    this.entries = new Map();
+    this.hits = 0;
+    this.misses = 0;
+    this.evictions = 0;
+  }
+
+  key(namespace, params) {
+    return `${namespace}:${JSON.stringify(normalizeParams(params))}`;
+  }
+
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry || entry.expires <= Date.now()) {
+      if (entry) this.entries.delete(key);
+      this.misses++;
+      return undefined;
+    }
+
+    // Re-insert so the Map's insertion order tracks recency
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    this.hits++;
+    return entry.value;
+  }
+
+  set(key, value, ttl) {
+    if (this.maxEntries <= 0 || ttl <= 0) return;
+
+    this.entries.delete(key);
+    this.entries.set(key, { value, expires: Date.now() + ttl });
+
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+      this.evictions++;
+    }
+  }
+
+  stats() {
+    const lookups = this.hits + this.misses;
+    return {
+      entries: this.entries.size,
+      maxEntries: this.maxEntries,
+      hits: this.hits,
+      misses: this.misses,
+      evictions: this.evictions,
+      hitRate: lookups > 0 ? Math.round((this.hits / lookups) * 1000) / 1000 : 0
+    };
+  }
+}
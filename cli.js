@@ -0,0 +1,219 @@
+#!/usr/bin/env node
+// Command-line access to the MCP tools for scripting and debugging. Runs the
+// same handlers and argument validation as the server, without MCP:
+//
+//   maps-mcp route "Boston, MA" "New York, NY" --avoid-tolls
+//   maps-mcp costs "Denver, CO" "Aspen, CO" --vehicle-type electric --include-elevation
+import { randomUUID } from 'crypto';
+import { createServices } from './services.js';
+import { callTool, configureTools, describeError, errorResult, tools } from './tools.js';
+import { logger, requestContext } from './logger.js';
+
+// Short names for the tools and the arguments their positional values fill;
+// a leading "..." collects the remaining values into an array
+const COMMANDS = {
+  route: { tool: 'calculate_route', positional: ['origin', 'destination', '...waypoints'] },
+  compare: { tool: 'compare_routes', positional: ['origin', 'destination'] },
+  traffic: { tool: 'get_live_traffic', positional: ['origin', 'destination'] },
+  depart: { tool: 'best_departure_time', positional: ['origin', 'destination', 'windowStart', 'windowEnd'] },
+  optimize: { tool: 'optimize_stops', positional: ['origin', '...stops'] },
+  matrix: { tool: 'distance_matrix', positional: [] },
+  geocode: { tool: 'geocode_address', positional: ['address'] },
+  reverse: { tool: 'reverse_geocode', positional: ['latitude', 'longitude'] },
+  places: { tool: 'find_places', positional: ['query'] },
+  export: { tool: 'export_route', positional: ['origin', 'destination'] },
+  elevation: { tool: 'route_elevation', positional: ['origin', 'destination'] },
+  costs: { tool: 'estimate_costs', positional: ['origin', 'destination'] }
+};
+
+class UsageError extends Error {}
+
+function kebabToCamel(text) {
+  return text.replace(/-([a-z])/g, (match, letter) => letter.toUpperCase());
+}
+
+function camelToKebab(text) {
+  return text.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`);
+}
+
+// Top-level arguments and those one object down, such as options.avoidTolls
+// or vehicleOptions.fuelPrice; top-level names win when both exist
+function flagsFor(schema) {
+  const flags = new Map();
+  for (const [key, property] of Object.entries(schema.properties)) {
+    if (property.type === 'object' && property.properties) {
+      for (const [nestedKey, nested] of Object.entries(property.properties)) {
+        if (!flags.has(nestedKey)) flags.set(nestedKey, { path: [key, nestedKey], schema: nested });
+      }
+    }
+  }
+  for (const [key, property] of Object.entries(schema.properties)) {
+    flags.set(key, { path: [key], schema: property });
+  }
+  return flags;
+}
+
+// Values the validator can't accept are passed through as strings so it
+// reports them like any other invalid argument
+function coerce(value, schema) {
+  if ((schema.type === 'number' || schema.type === 'integer') && value.trim() && !isNaN(value)) {
+    return Number(value);
+  }
+  if (schema.type === 'boolean' && (value === 'true' || value === 'false')) {
+    return value === 'true';
+  }
+  return value;
+}
+
+function setPath(args, path, value, schema) {
+  const parent = path.slice(0, -1).reduce((object, key) => (object[key] ??= {}), args);
+  const key = path[path.length - 1];
+  if (schema.type === 'array') {
+    parent[key] = [...(parent[key] || []), coerce(value, schema.items || {})];
+  } else {
+    parent[key] = coerce(value, schema);
+  }
+}
+
+function parseArguments(tool, positional, argv) {
+  const flags = flagsFor(tool.inputSchema);
+  const args = {};
+  const values = [];
+
+  for (let i = 0; i < argv.length; i++) {
+    const token = argv[i];
+    if (!token.startsWith('--')) {
+      values.push(token);
+      continue;
+    }
+
+    const [rawName, inlineValue] = token.slice(2).split(/=(.*)/s);
+    if (rawName === 'json') {
+      // Raw JSON arguments for anything flags can't express, like compareOptions
+      try {
+        Object.assign(args, JSON.parse(inlineValue ?? argv[++i]));
+      } catch (error) {
+        throw new UsageError(`Invalid --json: ${error.message}`);
+      }
+      continue;
+    }
+
+    const negated = rawName.startsWith('no-') && flags.get(kebabToCamel(rawName.slice(3)))?.schema.type === 'boolean';
+    const name = kebabToCamel(negated ? rawName.slice(3) : rawName);
+    const flag = flags.get(name);
+    if (!flag) {
+      throw new UsageError(`Unknown option --${rawName} for ${tool.name}`);
+    }
+
+    let value = inlineValue;
+    if (negated) {
+      value = 'false';
+    } else if (value === undefined && flag.schema.type === 'boolean') {
+      value = 'true';
+    } else if (value === undefined) {
+      if (i + 1 >= argv.length) {
+        throw new UsageError(`Option --${rawName} needs a value`);
+      }
+      value = argv[++i];
+    }
+    setPath(args, flag.path, value, flag.schema);
+  }
+
+  for (const name of positional) {
+    if (values.length === 0) break;
+    if (name.startsWith('...')) {
+      const key = name.slice(3);
+      const items = values.splice(0).map(value => coerce(value, tool.inputSchema.properties[key].items));
+      args[key] = [...items, ...(args[key] || [])];
+    } else {
+      args[name] = coerce(values.shift(), tool.inputSchema.properties[name]);
+    }
+  }
+  if (values.length > 0) {
+    throw new UsageError(`Unexpected argument "${values[0]}" for ${tool.name}`);
+  }
+  return args;
+}
+
+function usage() {
+  const lines = ['Usage: maps-mcp <command> [arguments] [--option value ...]', '', 'Commands:'];
+  for (const [command, { tool, positional }] of Object.entries(COMMANDS)) {
+    const summary = tools.find(candidate => candidate.name === tool).description.split('. ')[0].replace(/\.$/, '');
+    lines.push(`  ${`${command} ${positional.map(name => `<${name}>`).join(' ')}`.padEnd(58)} ${summary}`);
+  }
+  lines.push('', 'Tool names (calculate_route...) work as commands too.');
+  lines.push('Run "maps-mcp <command> --help" for its options. --json \'{...}\' passes raw arguments.');
+  return lines.join('\n');
+}
+
+function toolUsage(command, tool) {
+  const lines = [`Usage: maps-mcp ${command} ${(COMMANDS[command]?.positional || []).map(name => `<${name}>`).join(' ')}`, '', tool.description, '', 'Options:'];
+  for (const [name, { schema }] of flagsFor(tool.inputSchema)) {
+    if (schema.type === 'object') continue;
+    const type = schema.enum ? schema.enum.join('|') : schema.type === 'array' ? `${schema.items?.type || 'value'}, repeatable` : schema.type;
+    lines.push(`  ${`--${camelToKebab(name)} (${type})`.padEnd(50)} ${schema.description || ''}`);
+  }
+  return lines.join('\n');
+}
+
+async function main(argv) {
+  const [command, ...rest] = argv;
+  if (!command || command === 'help' || command === '--help') {
+    process.stdout.write(usage() + '\n');
+    return 0;
+  }
+
+  const name = COMMANDS[command]?.tool || command;
+  const tool = tools.find(candidate => candidate.name === name);
+  if (!tool) {
+    throw new UsageError(`Unknown command: ${command}`);
+  }
+  if (rest.includes('--help')) {
+    process.stdout.write(toolUsage(command, tool) + '\n');
+    return 0;
+  }
+  const args = parseArguments(tool, COMMANDS[command]?.positional || [], rest);
+
+  // Replay serves recorded fixtures and never calls Google
+  if (!process.env.GOOGLE_MAPS_API_KEY && process.env.PROVIDER !== 'replay') {
+    throw new UsageError('GOOGLE_MAPS_API_KEY environment variable is required');
+  }
+  const services = createServices();
+  configureTools(services);
+
+  const context = { requestId: randomUUID(), tool: name, clientId: 'cli', upstreamStatus: null };
+  const result = await requestContext.run(context, async () => {
+    try {
+      return await callTool(name, args);
+    } catch (error) {
+      return errorResult(describeError(error, context.upstreamStatus));
+    }
+  });
+  services.budget.flush();
+
+  const text = result.content.map(item => item.text).join('\n') + '\n';
+  if (result.isError) {
+    process.stderr.write(text);
+    return 1;
+  }
+  process.stdout.write(text);
+  return 0;
+}
+
+// Results go to stdout, so logs (warnings and up unless LOG_LEVEL says
+// otherwise) go to stderr
+logger.configure({
+  level: process.env.LOG_LEVEL || 'warn',
+  redactAddresses: process.env.LOG_REDACT_ADDRESSES === 'true',
+  secrets: [process.env.GOOGLE_MAPS_API_KEY],
+  stdout: false
+});
+
+main(process.argv.slice(2)).then(code => process.exit(code), error => {
+  process.stderr.write(`${error.message}\n`);
+  if (error instanceof UsageError) {
+    process.stderr.write('Run "maps-mcp help" for usage.\n');
+    process.exit(2);
+  }
+  process.exit(1);
+});
@@ -0,0 +1,74 @@
+// Elevation profile analysis and its effect on fuel and energy use
+import { haversineDistance } from './geo.js';
+
+const GRAVITY = 9.81; // m/s²
+const JOULES_PER_KWH = 3.6e6;
+const FUEL_ENERGY_DENSITY = 34.2e6; // J per liter of petrol
+const ENGINE_EFFICIENCY = 0.25; // share of fuel energy reaching the wheels
+const COASTING_RECOVERY = 0.3; // share of descent energy a combustion vehicle saves
+const MOTOR_EFFICIENCY = 0.9; // battery to wheels
+const REGEN_RECOVERY = 0.6; // share of descent energy an EV regenerates
+
+export const DEFAULT_VEHICLE_WEIGHT = 1500; // kg
+
+// Summarize elevation samples ([{ location, elevation }], evenly spaced
+// along the route): ascent, descent, grades and the steepest stretches
+export function analyzeElevation(samples, { steepestCount = 5 } = {}) {
+  let totalAscent = 0;
+  let totalDescent = 0;
+  let distanceAlong = 0;
+  const segments = [];
+
+  for (let i = 1; i < samples.length; i++) {
+    const length = haversineDistance(samples[i - 1].location, samples[i].location);
+    const rise = samples[i].elevation - samples[i - 1].elevation;
+    if (rise > 0) totalAscent += rise;
+    else totalDescent -= rise;
+
+    segments.push({
+      startDistance: distanceAlong,
+      length,
+      rise,
+      grade: length > 0 ? (rise / length) * 100 : 0,
+      start: samples[i - 1].location,
+      end: samples[i].location
+    });
+    distanceAlong += length;
+  }
+
+  const elevations = samples.map(sample => sample.elevation);
+  const steepest = [...segments]
+    .sort((a, b) => Math.abs(b.grade) - Math.abs(a.grade))
+    .slice(0, steepestCount);
+
+  return {
+    totalAscent,
+    totalDescent,
+    minElevation: Math.min(...elevations),
+    maxElevation: Math.max(...elevations),
+    startElevation: elevations[0],
+    endElevation: elevations[elevations.length - 1],
+    maxUphillGrade: Math.max(0, ...segments.map(segment => segment.grade)),
+    maxDownhillGrade: Math.min(0, ...segments.map(segment => segment.grade)),
+    steepestSegments: steepest,
+    profile: samples.map((sample, index) => ({
+      distanceAlong: index === 0 ? 0 : segments[index - 1].startDistance + segments[index - 1].length,
+      elevation: sample.elevation,
+      location: sample.location
+    }))
+  };
+}
+
+// Extra fuel in liters to lift `weight` kg over the route's climbs
+export function extraFuelForElevation({ totalAscent, totalDescent }, weight = DEFAULT_VEHICLE_WEIGHT) {
+  const climb = weight * GRAVITY * totalAscent;
+  const recovered = weight * GRAVITY * totalDescent * COASTING_RECOVERY;
+  return Math.max(0, climb - recovered) / (FUEL_ENERGY_DENSITY * ENGINE_EFFICIENCY);
+}
+
+// Extra battery energy in kWh; negative when regeneration on descents wins
+export function extraEnergyForElevation({ totalAscent, totalDescent }, weight = DEFAULT_VEHICLE_WEIGHT) {
+  const climb = weight * GRAVITY * totalAscent / MOTOR_EFFICIENCY;
+  const recovered = weight * GRAVITY * totalDescent * REGEN_RECOVERY;
+  return (climb - recovered) / JOULES_PER_KWH;
+}
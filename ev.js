@@ -0,0 +1,77 @@
+// Electric vehicle energy and charging-stop planning
+import { decodePolyline, pointAtFraction } from './geo.js';
+
+export const EV_DEFAULTS = {
+  batteryCapacity: 60, // kWh
+  energyConsumption: 18, // kWh/100km
+  startingCharge: 90, // % of battery
+  reserveCharge: 10, // % kept in hand on arrival at a charger or the destination
+  chargeTo: 80, // % public fast chargers usually stop at
+  chargingPower: 50, // kW average at public chargers
+  homeChargingPrice: 0.15, // per kWh
+  publicChargingPrice: 0.45 // per kWh
+};
+
+// Plan charging stops for a route of `distance` meters. Energy from the
+// starting charge is priced at the home rate, energy added at stops at the
+// public rate.
+export function planCharging({ distance, polyline, vehicle = {} }) {
+  const profile = { ...EV_DEFAULTS, ...vehicle };
+  const distanceKm = distance / 1000;
+  const kwhPerKm = profile.energyConsumption / 100;
+
+  const energyNeeded = distanceKm * kwhPerKm;
+  const startEnergy = profile.batteryCapacity * profile.startingCharge / 100;
+  const reserveEnergy = profile.batteryCapacity * profile.reserveCharge / 100;
+  const chargeToEnergy = profile.batteryCapacity * profile.chargeTo / 100;
+
+  if (startEnergy < reserveEnergy) {
+    throw new Error('startingCharge must be at least reserveCharge to plan charging stops');
+  }
+
+  const path = polyline ? decodePolyline(polyline) : [];
+  const stops = [];
+  let publicEnergy = 0; // summed before rounding for display
+  let positionKm = (startEnergy - reserveEnergy) / kwhPerKm;
+
+  // Drive to the reserve, charge up, repeat until the destination is in range
+  while (positionKm < distanceKm) {
+    if (chargeToEnergy <= reserveEnergy) {
+      throw new Error('chargeTo must be higher than reserveCharge to plan charging stops');
+    }
+
+    const remainingEnergy = (distanceKm - positionKm) * kwhPerKm;
+    const energyAdded = Math.min(chargeToEnergy - reserveEnergy, remainingEnergy);
+    const chargingMinutes = energyAdded / profile.chargingPower * 60;
+    publicEnergy += energyAdded;
+
+    stops.push({
+      stopNumber: stops.length + 1,
+      distanceAlongRouteKm: Math.round(positionKm * 10) / 10,
+      location: pointAtFraction(path, positionKm / distanceKm),
+      energyAdded: Math.round(energyAdded * 10) / 10,
+      chargeOnArrival: profile.reserveCharge,
+      chargeOnDeparture: Math.round((reserveEnergy + energyAdded) / profile.batteryCapacity * 100),
+      chargingMinutes: Math.round(chargingMinutes)
+    });
+
+    positionKm += (chargeToEnergy - reserveEnergy) / kwhPerKm;
+  }
+
+  const homeEnergy = energyNeeded - publicEnergy;
+  const arrivalEnergy = stops.length > 0 ?
+    reserveEnergy :
+    startEnergy - energyNeeded;
+
+  return {
+    profile,
+    energyNeeded,
+    homeEnergy,
+    publicEnergy,
+    homeCost: homeEnergy * profile.homeChargingPrice,
+    publicCost: publicEnergy * profile.publicChargingPrice,
+    stops,
+    chargingMinutes: stops.reduce((sum, stop) => sum + stop.chargingMinutes, 0),
+    arrivalCharge: Math.round(arrivalEnergy / profile.batteryCapacity * 100)
+  };
+}
@@ -0,0 +1,171 @@
+// Route export to GeoJSON, GPX and KML
+import { decodePolyline, routePath } from './geo.js';
+
+export const EXPORT_FORMATS = {
+  geojson: { mimeType: 'application/geo+json', extension: 'geojson' },
+  gpx: { mimeType: 'application/gpx+xml', extension: 'gpx' },
+  kml: { mimeType: 'application/vnd.google-earth.kml+xml', extension: 'kml' }
+};
+
+function escapeXml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function routeStops(route) {
+  const stops = route.legs.map((leg, index) => ({
+    role: index === 0 ? 'origin' : 'waypoint',
+    address: leg.from,
+    location: leg.startLocation
+  }));
+  const last = route.legs[route.legs.length - 1];
+  stops.push({ role: 'destination', address: last.to, location: last.endLocation });
+  return stops.filter(stop => stop.location);
+}
+
+function summaryProperties(route, meta) {
+  return {
+    name: meta.name,
+    summary: route.summary,
+    mode: route.mode,
+    distanceMeters: route.distance,
+    durationSeconds: route.duration,
+    durationInTrafficSeconds: route.durationInTraffic,
+    legs: route.legs.length,
+    steps: route.steps.length,
+    generated: meta.timestamp
+  };
+}
+
+export function toGeoJSON(route, meta) {
+  const features = [
+    {
+      type: 'Feature',
+      geometry: {
+        type: 'LineString',
+        coordinates: routePath(route).map(point => [point.lng, point.lat])
+      },
+      properties: { featureType: 'route', ...summaryProperties(route, meta) }
+    },
+    ...routeStops(route).map((stop, index) => ({
+      type: 'Feature',
+      geometry: { type: 'Point', coordinates: [stop.location.lng, stop.location.lat] },
+      properties: { featureType: 'stop', stopNumber: index + 1, role: stop.role, address: stop.address }
+    })),
+    ...route.steps.map(step => ({
+      type: 'Feature',
+      geometry: step.polyline ?
+        { type: 'LineString', coordinates: decodePolyline(step.polyline).map(point => [point.lng, point.lat]) } :
+        { type: 'Point', coordinates: [step.startLocation.lng, step.startLocation.lat] },
+      properties: {
+        featureType: 'step',
+        stepNumber: step.stepNumber,
+        leg: step.leg,
+        instruction: step.instruction,
+        distance: step.distance,
+        duration: step.duration,
+        maneuver: step.maneuver
+      }
+    }))
+  ];
+
+  return JSON.stringify({ type: 'FeatureCollection', features }, null, 2);
+}
+
+export function toGPX(route, meta) {
+  const summary = summaryProperties(route, meta);
+  const stops = routeStops(route).map(stop =>
+    `  <wpt lat="${stop.location.lat}" lon="${stop.location.lng}">
+    <name>${escapeXml(stop.address)}</name>
+    <type>${stop.role}</type>
+  </wpt>`);
+  const routePoints = route.steps.filter(step => step.startLocation).map(step =>
+    `    <rtept lat="${step.startLocation.lat}" lon="${step.startLocation.lng}">
+      <name>${escapeXml(`${step.stepNumber}. ${step.instruction}`)}</name>
+      <desc>${escapeXml(`${step.distance}, ${step.duration}`)}</desc>
+      <type>${escapeXml(step.maneuver)}</type>
+    </rtept>`);
+  const trackPoints = routePath(route).map(point =>
+    `      <trkpt lat="${point.lat}" lon="${point.lng}"/>`);
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" creator="google-maps-mcp" xmlns="http://www.topografix.com/GPX/1/1">
+  <metadata>
+    <name>${escapeXml(meta.name)}</name>
+    <desc>${escapeXml(`Via ${summary.summary || 'route'}: ${(summary.distanceMeters / 1000).toFixed(1)} km, ${Math.round(summary.durationInTrafficSeconds / 60)} min (${summary.mode})`)}</desc>
+    <time>${meta.timestamp}</time>
+  </metadata>
+${stops.join('\n')}
+  <rte>
+    <name>${escapeXml(meta.name)}</name>
+${routePoints.join('\n')}
+  </rte>
+  <trk>
+    <name>${escapeXml(meta.name)}</name>
+    <trkseg>
+${trackPoints.join('\n')}
+    </trkseg>
+  </trk>
+</gpx>
+`;
+}
+
+export function toKML(route, meta) {
+  const summary = summaryProperties(route, meta);
+  const extendedData = Object.entries(summary)
+    .filter(([, value]) => value !== undefined)
+    .map(([name, value]) => `        <Data name="${name}"><value>${escapeXml(value)}</value></Data>`);
+  const stops = routeStops(route).map(stop =>
+    `    <Placemark>
+      <name>${escapeXml(stop.address)}</name>
+      <description>${stop.role}</description>
+      <Point><coordinates>${stop.location.lng},${stop.location.lat}</coordinates></Point>
+    </Placemark>`);
+  const steps = route.steps.filter(step => step.startLocation).map(step =>
+    `      <Placemark>
+        <name>${escapeXml(`${step.stepNumber}. ${step.instruction}`)}</name>
+        <description>${escapeXml(`${step.distance}, ${step.duration}`)}</description>
+        <Point><coordinates>${step.startLocation.lng},${step.startLocation.lat}</coordinates></Point>
+      </Placemark>`);
+  const coordinates = routePath(route).map(point => `${point.lng},${point.lat}`).join(' ');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2">
+  <Document>
+    <name>${escapeXml(meta.name)}</name>
+    <Placemark>
+      <name>${escapeXml(meta.name)}</name>
+      <ExtendedData>
+${extendedData.join('\n')}
+      </ExtendedData>
+      <LineString>
+        <tessellate>1</tessellate>
+        <coordinates>${coordinates}</coordinates>
+      </LineString>
+    </Placemark>
+${stops.join('\n')}
+    <Folder>
+      <name>Directions</name>
+${steps.join('\n')}
+    </Folder>
+  </Document>
+</kml>
+`;
+}
+
+export function exportRoute(route, format, meta) {
+  switch (format) {
+    case 'geojson':
+      return toGeoJSON(route, meta);
+    case 'gpx':
+      return toGPX(route, meta);
+    case 'kml':
+      return toKML(route, meta);
+    default:
+      throw new Error(`Unsupported export format: ${format} (expected geojson, gpx or kml)`);
+  }
+}
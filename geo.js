@@ -0,0 +1,154 @@
+// Geometry helpers for working with Google encoded polylines
+
+const EARTH_RADIUS = 6371000; // meters
+
+// Decode a Google encoded polyline into [{ lat, lng }] points
+export function decodePolyline(encoded) {
+  const points = [];
+  let index = 0;
+  let lat = 0;
+  let lng = 0;
+
+  while (index < encoded.length) {
+    for (const axis of ['lat', 'lng']) {
+      let result = 0;
+      let shift = 0;
+      let byte;
+      do {
+        byte = encoded.charCodeAt(index++) - 63;
+        result |= (byte & 0x1f) << shift;
+        shift += 5;
+      } while (byte >= 0x20);
+
+      const delta = result & 1 ? ~(result >> 1) : result >> 1;
+      if (axis === 'lat') lat += delta;
+      else lng += delta;
+    }
+    points.push({ lat: lat / 1e5, lng: lng / 1e5 });
+  }
+
+  return points;
+}
+
+// Full-resolution geometry from the step polylines, falling back to the
+// simplified overview polyline when steps carry no geometry
+export function routePath(route) {
+  const stepPaths = (route.steps || []).filter(step => step.polyline).map(step => decodePolyline(step.polyline));
+  if (stepPaths.length === 0) {
+    return decodePolyline(route.polyline);
+  }
+  return stepPaths.reduce((path, stepPath) => {
+    const last = path[path.length - 1];
+    const first = stepPath[0];
+    const joined = last && first && last.lat === first.lat && last.lng === first.lng;
+    return path.concat(joined ? stepPath.slice(1) : stepPath);
+  }, []);
+}
+
+// Great-circle distance between two points in meters
+export function haversineDistance(a, b) {
+  const toRad = degrees => degrees * Math.PI / 180;
+  const dLat = toRad(b.lat - a.lat);
+  const dLng = toRad(b.lng - a.lng);
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS * Math.asin(Math.sqrt(h));
+}
+
+// Points every `interval` meters along a path, starting at its first point
+export function samplePath(path, interval, maxDistance = Infinity) {
+  if (path.length === 0) return [];
+
+  const samples = [{ ...path[0], distanceAlong: 0 }];
+  let travelled = 0;
+  let nextSample = interval;
+
+  for (let i = 1; i < path.length; i++) {
+    const segment = haversineDistance(path[i - 1], path[i]);
+    while (segment > 0 && nextSample <= travelled + segment && nextSample <= maxDistance) {
+      const fraction = (nextSample - travelled) / segment;
+      samples.push({
+        lat: path[i - 1].lat + (path[i].lat - path[i - 1].lat) * fraction,
+        lng: path[i - 1].lng + (path[i].lng - path[i - 1].lng) * fraction,
+        distanceAlong: nextSample
+      });
+      nextSample += interval;
+    }
+    travelled += segment;
+    if (travelled > maxDistance) break;
+  }
+
+  return samples;
+}
+
+// Closest point on a path to `point`, with how far along the path it lies
+export function nearestPointOnPath(path, point) {
+  let best = { distance: Infinity, distanceAlong: 0, point: path[0] };
+  let travelled = 0;
+
+  for (let i = 1; i < path.length; i++) {
+    const start = path[i - 1];
+    const end = path[i];
+    const segment = haversineDistance(start, end);
+
+    // Project onto the segment in a local equirectangular frame
+    const scale = Math.cos(start.lat * Math.PI / 180);
+    const dx = (end.lng - start.lng) * scale;
+    const dy = end.lat - start.lat;
+    const px = (point.lng - start.lng) * scale;
+    const py = point.lat - start.lat;
+    const lengthSquared = dx * dx + dy * dy;
+    const t = lengthSquared > 0 ? Math.max(0, Math.min(1, (px * dx + py * dy) / lengthSquared)) : 0;
+
+    const projected = {
+      lat: start.lat + (end.lat - start.lat) * t,
+      lng: start.lng + (end.lng - start.lng) * t
+    };
+    const distance = haversineDistance(point, projected);
+    if (distance < best.distance) {
+      best = { distance, distanceAlong: travelled + segment * t, point: projected };
+    }
+    travelled += segment;
+  }
+
+  if (path.length === 1) {
+    best.distance = haversineDistance(point, path[0]);
+  }
+
+  return best;
+}
+
+// Parse "lat,lng" strings into { lat, lng }, or null for anything else
+export function parseLatLng(text) {
+  const match = /^\s*(-?\d+(?:\.\d+)?)\s*,\s*(-?\d+(?:\.\d+)?)\s*$/.exec(text || '');
+  return match ? { lat: parseFloat(match[1]), lng: parseFloat(match[2]) } : null;
+}
+
+// Total length of a path in meters
+export function pathLength(path) {
+  let length = 0;
+  for (let i = 1; i < path.length; i++) {
+    length += haversineDistance(path[i - 1], path[i]);
+  }
+  return length;
+}
+
+// Point a given fraction (0-1) of the way along a path
+export function pointAtFraction(path, fraction) {
+  if (path.length === 0) return null;
+
+  const target = pathLength(path) * Math.max(0, Math.min(1, fraction));
+  let travelled = 0;
+  for (let i = 1; i < path.length; i++) {
+    const segment = haversineDistance(path[i - 1], path[i]);
+    if (travelled + segment >= target && segment > 0) {
+      const t = (target - travelled) / segment;
+      return {
+        lat: path[i - 1].lat + (path[i].lat - path[i - 1].lat) * t,
+        lng: path[i - 1].lng + (path[i].lng - path[i - 1].lng) * t
+      };
+    }
+    travelled += segment;
+  }
+  return { ...path[path.length - 1] };
+}
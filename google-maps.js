@@ -1,28 +1,123 @@
-import { Client } from '@googlemaps/google-maps-services-js';
+import { BudgetExceededError } from './budget.js';
+import { ResponseCache } from './cache.js';
+import { decodePolyline, parseLatLng } from './geo.js';
+import { logger } from './logger.js';
+import { GoogleProvider } from './providers.js';
+import { CircuitBreaker, CircuitOpenError, withRetries } from './resilience.js';
+import { formatLocalTime, parseDateTime } from './time.js';
+
+// Elevation API limits: samples per path, and path vertices kept short enough for the URL
+const ELEVATION_MAX_SAMPLES = 512;
+const ELEVATION_MAX_PATH_POINTS = 200;
+
+// Distance Matrix API per-request limits
+const MATRIX_MAX_PER_SIDE = 25; // origins or destinations per request
+const MATRIX_MAX_ELEMENTS = 100; // origins × destinations per request
+
+// Google's status for a failed call: the API status when it sent one, else the HTTP status
+function upstreamStatus(error) {
+  if (error.response?.data?.status) return error.response.data.status;
+  return error.response?.status ? `HTTP_${error.response.status}` : 'REQUEST_FAILED';
+}
+
+// Budget and circuit breaker refusals say when calls resume, so they pass
+// through the per-API error messages unwrapped
+function rethrowRefusal(error) {
+  if (error instanceof BudgetExceededError || error instanceof CircuitOpenError) {
+    throw error;
+  }
+}
 
 export class GoogleMapsService {
-  constructor(apiKey) {
-    this.client = new Client({});
+  constructor(apiKey, { cache = {}, provider = new GoogleProvider(), budget = null, resilience = {}, onUpstreamCall } = {}) {
+    this.provider = provider;
+    // Optional BudgetGuard that prices each call and refuses those over its caps
+    this.budget = budget;
+    // Called with { method, status, duration, attempt } after every call that reaches the provider
+    this.onUpstreamCall = onUpstreamCall;
+    // Retry and circuit breaker settings; one breaker per API, since they fail independently
+    this.resilience = resilience;
+    this.breakers = new Map();
     this.apiKey = apiKey;
+    this.cache = new ResponseCache({ maxEntries: cache.maxEntries });
+    this.trafficTtl = cache.trafficTtl ?? 2 * 60 * 1000; // live traffic goes stale quickly
+    this.staticTtl = cache.staticTtl ?? 24 * 60 * 60 * 1000; // geometry and addresses rarely change
+  }
+
+  // Call the maps provider through the response cache; only calls that
+  // reach the provider count against the budget
+  async request(method, params, { live = false } = {}) {
+    const cacheKey = this.cache.key(method, params);
+    const cached = this.cache.get(cacheKey);
+    if (cached) {
+      return cached;
+    }
+
+    const response = await this.breaker(method).execute(() => withRetries(async attempt => {
+      this.budget?.charge(method, params);
+
+      const started = Date.now();
+      try {
+        const response = await this.provider.request(method, params);
+        this.onUpstreamCall?.({ method, status: response.data?.status || 'OK', duration: Date.now() - started, attempt });
+        return response;
+      } catch (error) {
+        this.onUpstreamCall?.({ method, status: upstreamStatus(error), duration: Date.now() - started, attempt });
+        throw error;
+      }
+    }, {
+      ...this.resilience,
+      onRetry: ({ attempt, delay, error }) => logger.warn('Retrying Google API call', { method, attempt, delayMs: delay, error })
+    }));
+
+    this.cache.set(cacheKey, { data: response.data }, live ? this.trafficTtl : this.staticTtl);
+    return response;
+  }
+
+  breaker(method) {
+    if (!this.breakers.has(method)) {
+      this.breakers.set(method, new CircuitBreaker(`Google Maps ${method} API`, this.resilience));
+    }
+    return this.breakers.get(method);
+  }
+
+  circuitStats() {
+    return Object.fromEntries([...this.breakers.entries()].map(([method, breaker]) => [method, breaker.stats()]));
   }
 
   async calculateRoute({ origin, destination, waypoints = [], ...options }) {
     try {
+      const mode = options.mode || 'driving';
       const params = {
         params: {
           origin,
           destination,
           key: this.apiKey,
-          units: 'metric',
-          departure_time: options.departureTime === 'now' ? 'now' : options.departureTime,
-          traffic_model: options.trafficModel || 'best_guess',
+          mode,
+          units: options.units === 'imperial' ? 'imperial' : 'metric',
           alternatives: options.alternatives !== false
         }
       };
 
-      // Add waypoints if provided
+      // Language of addresses and turn-by-turn instructions
+      if (options.language) {
+        params.params.language = options.language;
+      }
+
+      // Departure times drive traffic (driving) and schedules (transit) only;
+      // Google takes arrival times for transit alone
+      if (mode === 'transit' && options.arrivalTime) {
+        params.params.arrival_time = (await this.resolveTime(options.arrivalTime, destination)).value;
+      } else if (mode === 'driving' || mode === 'transit') {
+        params.params.departure_time = (await this.resolveTime(options.departureTime, origin))?.value;
+      }
+      if (mode === 'driving') {
+        params.params.traffic_model = options.trafficModel || 'best_guess';
+      }
+
+      // Add waypoints if provided (optionally letting Google reorder them)
       if (waypoints.length > 0) {
-        params.params.waypoints = waypoints.join('|');
+        params.params.waypoints = (options.optimizeWaypoints ? ['optimize:true', ...waypoints] : waypoints).join('|');
       }
 
       // Handle avoid options
@@ -33,42 +128,30 @@ export class GoogleMapsService {
         params.params.avoid = avoidOptions.join('|');
       }
 
-      console.log('🗺️ Google Maps API request:', JSON.stringify(params.params, null, 2));
+      logger.debug('Directions request', { params: params.params });
       
-      const response = await this.client.directions(params);
+      const response = await this.request('directions', params.params, {
+        live: params.params.departure_time === 'now' || mode === 'transit'
+      });
       
       if (!response.data.routes || response.data.routes.length === 0) {
         throw new Error('No route found between the specified locations');
       }
 
-      const route = response.data.routes[0];
-      const leg = route.legs[0];
-      
-      // Extract turn-by-turn directions
-      const steps = leg.steps.map((step, index) => ({
-        stepNumber: index + 1,
-        instruction: step.html_instructions.replace(/<[^>]*>/g, ''), // Strip HTML tags
-        distance: step.distance.text,
-        duration: step.duration.text,
-        maneuver: step.maneuver || 'continue'
-      }));
-
+      // The first route is Google's recommendation; keep the rest as alternatives
+      const [primary, ...others] = response.data.routes.map(route => this.parseRoute(route));
       const result = {
-        summary: route.summary,
-        distance: leg.distance.value, // in meters
-        duration: leg.duration.value, // in seconds
-        durationInTraffic: leg.duration_in_traffic?.value || leg.duration.value,
-        steps: steps,
-        polyline: route.overview_polyline.points,
-        warnings: route.warnings || [],
-        copyrights: route.copyrights
+        mode,
+        ...primary,
+        alternatives: others
       };
 
-      console.log(`✅ Route calculated: ${result.distance}m, ${result.duration}s`);
+      logger.debug('Route calculated', { distanceMeters: result.distance, durationSeconds: result.duration });
       return result;
 
     } catch (error) {
-      console.error('❌ Google Maps API error:', error.response?.data || error.message);
+      rethrowRefusal(error);
+      logger.error('Directions request failed', { error });
       
       // Provide more helpful error messages
       if (error.response?.data?.error_message) {
@@ -87,13 +170,188 @@ export class GoogleMapsService {
     }
   }
 
-  async getTrafficInfo({ origin, destination, departureTime = 'now' }) {
+  parseRoute(route) {
+    // Break the route down per leg (one leg per hop between stops)
+    const legs = route.legs.map((leg, legIndex) => ({
+      legNumber: legIndex + 1,
+      from: leg.start_address,
+      to: leg.end_address,
+      startLocation: leg.start_location,
+      endLocation: leg.end_location,
+      distance: leg.distance.value, // in meters
+      duration: leg.duration.value, // in seconds
+      durationInTraffic: leg.duration_in_traffic?.value || leg.duration.value,
+      departureTime: leg.departure_time?.text,
+      arrivalTime: leg.arrival_time?.text,
+      departureTimestamp: leg.departure_time?.value,
+      arrivalTimestamp: leg.arrival_time?.value
+    }));
+
+    // Turn-by-turn directions for the whole route, each tagged with its leg
+    let stepNumber = 0;
+    const steps = route.legs.flatMap((leg, legIndex) => leg.steps.map(step => ({
+      stepNumber: ++stepNumber,
+      leg: legIndex + 1,
+      instruction: step.html_instructions.replace(/<[^>]*>/g, ''), // Strip HTML tags
+      distance: step.distance.text,
+      duration: step.duration.text,
+      distanceMeters: step.distance.value,
+      durationSeconds: step.duration.value,
+      startLocation: step.start_location,
+      endLocation: step.end_location,
+      polyline: step.polyline?.points, // encoded step geometry
+      maneuver: step.maneuver || 'continue',
+      tollRoad: /toll road/i.test(step.html_instructions),
+      travelMode: step.travel_mode?.toLowerCase(),
+      ...(step.transit_details && { transit: this.parseTransitDetails(step.transit_details) })
+    })));
+    const transitRides = steps.filter(step => step.transit).map(step => step.transit);
+
+    // Route-wide totals across every leg
+    return {
+      summary: route.summary,
+      distance: legs.reduce((sum, leg) => sum + leg.distance, 0),
+      duration: legs.reduce((sum, leg) => sum + leg.duration, 0),
+      durationInTraffic: legs.reduce((sum, leg) => sum + leg.durationInTraffic, 0),
+      legs,
+      waypointOrder: route.waypoint_order || [],
+      steps,
+      hasTolls: steps.some(step => step.tollRoad),
+      polyline: route.overview_polyline.points,
+      warnings: route.warnings || [],
+      copyrights: route.copyrights,
+      ...(transitRides.length > 0 && {
+        transit: {
+          rides: transitRides,
+          lines: [...new Set(transitRides.map(ride => ride.line))],
+          vehicleTypes: [...new Set(transitRides.map(ride => ride.vehicleType))],
+          transfers: transitRides.length - 1,
+          departureTime: legs[0].departureTime,
+          arrivalTime: legs[legs.length - 1].arrivalTime,
+          fare: route.fare?.text
+        }
+      })
+    };
+  }
+
+  parseTransitDetails(details) {
+    return {
+      line: details.line?.short_name || details.line?.name,
+      lineName: details.line?.name,
+      vehicleType: details.line?.vehicle?.type,
+      vehicleName: details.line?.vehicle?.name,
+      agency: details.line?.agencies?.[0]?.name,
+      headsign: details.headsign,
+      departureStop: details.departure_stop?.name,
+      departureTime: details.departure_time?.text,
+      arrivalStop: details.arrival_stop?.name,
+      arrivalTime: details.arrival_time?.text,
+      numStops: details.num_stops
+    };
+  }
+
+  // Plan a trip that must arrive by `arrivalTime`. Transit asks Google
+  // directly; other modes work back from the arrival using pessimistic
+  // traffic, refining the departure until the estimate settles.
+  async planArrival({ origin, destination, arrivalTime, ...options }) {
+    const mode = options.mode || 'driving';
+    const arrival = await this.resolveTime(arrivalTime, destination);
+    if (arrival.value === 'now') {
+      throw new Error('arrivalTime must be a specific time, not "now"');
+    }
+    const originZone = await this.timeZoneAt(origin, arrival.value);
+    const now = Math.floor(Date.now() / 1000);
+
+    let route;
+    let departure;
+    if (mode === 'transit') {
+      route = await this.calculateRoute({ origin, destination, ...options, arrivalTime: arrival.value });
+      departure = route.legs[0].departureTimestamp ?? arrival.value - route.duration;
+    } else {
+      const typical = await this.calculateRoute({ origin, destination, ...options, departureTime: undefined, alternatives: false });
+      departure = arrival.value - typical.duration;
+      for (let attempt = 0; attempt < 3; attempt++) {
+        route = await this.calculateRoute({
+          origin,
+          destination,
+          ...options,
+          departureTime: Math.max(departure, now),
+          trafficModel: 'pessimistic',
+          alternatives: false
+        });
+        const next = arrival.value - route.durationInTraffic;
+        const settled = Math.abs(next - departure) < 60;
+        departure = next;
+        if (settled) break;
+      }
+    }
+
+    return {
+      route,
+      arrivalTime: formatLocalTime(arrival.value, arrival.timeZone?.offset ?? originZone.offset),
+      recommendedDeparture: formatLocalTime(departure, originZone.offset),
+      recommendedDepartureTimestamp: departure,
+      timeZone: originZone.timeZoneId,
+      trafficModel: mode === 'driving' ? 'pessimistic' : null,
+      tooLate: departure < now
+    };
+  }
+
+  // Convert "now", epoch seconds or ISO 8601 into the value Google expects.
+  // ISO strings without an offset are read in the local time at `location`.
+  async resolveTime(value, location) {
+    if (value === undefined || value === null || value === '') return undefined;
+    if (value === 'now') return { value: 'now' };
+    if (typeof value === 'number') return { value: Math.floor(value) };
+
+    const parsed = parseDateTime(value);
+    if (parsed.epoch !== undefined) {
+      return { value: parsed.epoch };
+    }
+
+    // Look the offset up twice so times just after a DST change land right
+    let zone = await this.timeZoneAt(location, parsed.wallClock);
+    let epoch = parsed.wallClock - zone.offset;
+    zone = await this.timeZoneAt(location, epoch);
+    epoch = parsed.wallClock - zone.offset;
+
+    return { value: epoch, timeZone: zone };
+  }
+
+  async timeZoneAt(location, timestamp) {
+    try {
+      const coordinates = parseLatLng(location) || (await this.geocode(location)).location;
+      const response = await this.request('timezone', {
+        location: coordinates,
+        timestamp,
+        key: this.apiKey
+      });
+
+      if (response.data.status && response.data.status !== 'OK') {
+        throw new Error(response.data.errorMessage || response.data.status);
+      }
+
+      return {
+        timeZoneId: response.data.timeZoneId,
+        offset: response.data.rawOffset + response.data.dstOffset // seconds from UTC
+      };
+    } catch (error) {
+      rethrowRefusal(error);
+      logger.error('Time zone lookup failed', { location, error });
+      throw new Error(`Time zone lookup failed for ${location}: ${error.message}`);
+    }
+  }
+
+  async getTrafficInfo({ origin, destination, departureTime = 'now', mode = 'driving', units, language }) {
     try {
       // Use the same calculateRoute method but with traffic focus
       const route = await this.calculateRoute({ 
         origin, 
         destination, 
         departureTime,
+        mode,
+        units,
+        language,
         trafficModel: 'best_guess'
       });
       
@@ -105,32 +363,226 @@ export class GoogleMapsService {
         }
       };
     } catch (error) {
+      rethrowRefusal(error);
       throw new Error(`Traffic info retrieval failed: ${error.message}`);
     }
   }
 
-  async geocode(address) {
+  async distanceMatrix({ origins, destinations, ...options }) {
     try {
-      const response = await this.client.geocode({
-        params: {
-          address,
-          key: this.apiKey
+      const mode = options.mode || 'driving';
+      const departure = mode === 'driving' || mode === 'transit' ?
+        await this.resolveTime(options.departureTime, origins[0]) :
+        undefined;
+
+      // Split the grid into blocks that stay under Google's element limits
+      const destinationChunk = Math.min(destinations.length, MATRIX_MAX_PER_SIDE);
+      const originChunk = Math.min(MATRIX_MAX_PER_SIDE, Math.max(1, Math.floor(MATRIX_MAX_ELEMENTS / destinationChunk)));
+
+      const rows = origins.map(() => new Array(destinations.length));
+      const originAddresses = [...origins];
+      const destinationAddresses = [...destinations];
+      let requests = 0;
+
+      for (let o = 0; o < origins.length; o += originChunk) {
+        for (let d = 0; d < destinations.length; d += destinationChunk) {
+          const params = {
+            origins: origins.slice(o, o + originChunk),
+            destinations: destinations.slice(d, d + destinationChunk),
+            key: this.apiKey,
+            mode,
+            units: options.units === 'imperial' ? 'imperial' : 'metric'
+          };
+
+          if (options.language) {
+            params.language = options.language;
+          }
+
+          if (mode === 'driving' || mode === 'transit') {
+            params.departure_time = departure?.value;
+          }
+          if (mode === 'driving') {
+            params.traffic_model = options.trafficModel || 'best_guess';
+          }
+
+          const avoidOptions = [];
+          if (options.avoidTolls) avoidOptions.push('tolls');
+          if (options.avoidHighways) avoidOptions.push('highways');
+          if (avoidOptions.length > 0) {
+            params.avoid = avoidOptions.join('|');
+          }
+
+          const response = await this.request('distancematrix', params, {
+            live: params.departure_time === 'now' || mode === 'transit'
+          });
+          requests++;
+
+          response.data.origin_addresses?.forEach((address, i) => { originAddresses[o + i] = address; });
+          response.data.destination_addresses?.forEach((address, j) => { destinationAddresses[d + j] = address; });
+
+          response.data.rows.forEach((row, i) => {
+            row.elements.forEach((element, j) => {
+              rows[o + i][d + j] = element.status === 'OK' ? {
+                status: element.status,
+                distance: element.distance.value, // in meters
+                duration: element.duration.value, // in seconds
+                durationInTraffic: element.duration_in_traffic?.value || element.duration.value
+              } : { status: element.status };
+            });
+          });
         }
+      }
+
+      logger.debug('Distance matrix calculated', { origins: origins.length, destinations: destinations.length, requests });
+
+      return {
+        mode,
+        origins: originAddresses,
+        destinations: destinationAddresses,
+        rows,
+        requests
+      };
+    } catch (error) {
+      rethrowRefusal(error);
+      logger.error('Distance matrix failed', { error });
+      throw new Error(`Distance matrix failed: ${error.response?.data?.error_message || error.message}`);
+    }
+  }
+
+  // Elevations at `samples` evenly spaced points along an encoded polyline
+  async getElevationAlongPath(polyline, samples = 100) {
+    try {
+      let path = decodePolyline(polyline);
+      if (path.length > ELEVATION_MAX_PATH_POINTS) {
+        const stride = (path.length - 1) / (ELEVATION_MAX_PATH_POINTS - 1);
+        path = Array.from({ length: ELEVATION_MAX_PATH_POINTS }, (_, i) => path[Math.round(i * stride)]);
+      }
+
+      const response = await this.request('elevation', {
+        path,
+        samples: Math.max(2, Math.min(ELEVATION_MAX_SAMPLES, samples)),
+        key: this.apiKey
       });
 
+      if (!response.data.results || response.data.results.length === 0) {
+        throw new Error('No elevation data returned for this route');
+      }
+
+      return response.data.results.map(result => ({
+        elevation: result.elevation, // meters above sea level
+        location: result.location,
+        resolution: result.resolution
+      }));
+    } catch (error) {
+      rethrowRefusal(error);
+      logger.error('Elevation lookup failed', { error });
+      throw new Error(`Elevation lookup failed: ${error.response?.data?.error_message || error.message}`);
+    }
+  }
+
+  async geocode(address, { region, language } = {}) {
+    try {
+      const params = {
+        address,
+        key: this.apiKey
+      };
+      if (region) params.region = region;
+      if (language) params.language = language;
+
+      const response = await this.request('geocode', params);
+
       if (!response.data.results || response.data.results.length === 0) {
         throw new Error(`Location not found: ${address}`);
       }
 
-      const result = response.data.results[0];
+      // Ambiguous input ("Springfield") yields several candidates; the first is Google's best match
+      const candidates = response.data.results.map(result => this.parseGeocodeResult(result));
       return {
-        address: result.formatted_address,
-        location: result.geometry.location,
-        placeId: result.place_id
+        ...candidates[0],
+        candidates
       };
     } catch (error) {
-      console.error('❌ Geocoding error:', error.message);
+      rethrowRefusal(error);
+      logger.error('Geocoding failed', { address, error });
       throw new Error(`Geocoding failed: ${error.message}`);
     }
   }
-}
\ No newline at end of file
+
+  async reverseGeocode({ latitude, longitude, language }) {
+    try {
+      const params = {
+        latlng: { lat: latitude, lng: longitude },
+        key: this.apiKey
+      };
+      if (language) params.language = language;
+
+      const response = await this.request('reverseGeocode', params);
+
+      if (!response.data.results || response.data.results.length === 0) {
+        throw new Error(`No address found at ${latitude},${longitude}`);
+      }
+
+      const candidates = response.data.results.map(result => this.parseGeocodeResult(result));
+      return {
+        ...candidates[0],
+        candidates
+      };
+    } catch (error) {
+      rethrowRefusal(error);
+      logger.error('Reverse geocoding failed', { latitude, longitude, error });
+      throw new Error(`Reverse geocoding failed: ${error.message}`);
+    }
+  }
+
+  async searchPlaces({ location, radius = 5000, keyword, type, openNow, language }) {
+    try {
+      const params = {
+        location,
+        radius,
+        key: this.apiKey
+      };
+      if (keyword) params.keyword = keyword;
+      if (type) params.type = type;
+      if (openNow) params.opennow = true;
+      if (language) params.language = language;
+
+      const response = await this.request('placesNearby', params, { live: Boolean(openNow) });
+
+      return (response.data.results || []).map(place => ({
+        name: place.name,
+        placeId: place.place_id,
+        address: place.vicinity || place.formatted_address,
+        location: place.geometry.location,
+        types: place.types || [],
+        rating: place.rating,
+        userRatingsTotal: place.user_ratings_total,
+        openNow: place.opening_hours?.open_now,
+        businessStatus: place.business_status
+      }));
+    } catch (error) {
+      rethrowRefusal(error);
+      // Nearby search reports "nothing here" as ZERO_RESULTS
+      if (error.response?.data?.status === 'ZERO_RESULTS') {
+        return [];
+      }
+      logger.error('Places search failed', { error });
+      throw new Error(`Places search failed: ${error.response?.data?.error_message || error.message}`);
+    }
+  }
+
+  parseGeocodeResult(result) {
+    return {
+      address: result.formatted_address,
+      location: result.geometry.location,
+      placeId: result.place_id,
+      locationType: result.geometry.location_type,
+      types: result.types || [],
+      partialMatch: result.partial_match || false,
+      addressComponents: (result.address_components || []).map(component => ({
+        name: component.long_name,
+        shortName: component.short_name,
+        types: component.types
+      }))
+    };
+  }
+}
@@ -1,50 +1,200 @@
 import { Server } from '@modelcontextprotocol/sdk/server/index.js';
-import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/http.js';
-import { CallToolRequestSchema, ListToolsRequestSchema } from '@modelcontextprotocol/sdk/types.js';
-import { GoogleMapsService } from './google-maps.js';
+import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
+import { CallToolRequestSchema, ListToolsRequestSchema, McpError } from '@modelcontextprotocol/sdk/types.js';
+import { ClientRegistry, UNAUTHORIZED, canUseTool } from './auth.js';
+import { RATE_LIMITED, RateLimiter, createRateLimitStore } from './ratelimit.js';
+import { createServices, jsonFromEnv } from './services.js';
+import { callTool, configureTools, describeError, errorResult, tools } from './tools.js';
+import { MetricsRegistry, PROMETHEUS_CONTENT_TYPE } from './metrics.js';
+import { collectAddresses, logger, requestContext } from './logger.js';
+import { ValidationError } from './validation.js';
+import { AsyncLocalStorage } from 'async_hooks';
+import { randomUUID } from 'crypto';
 import http from 'http';
 
 // Environment configuration for Cloud Run
 const PORT = parseInt(process.env.PORT) || 8080;
 const GOOGLE_MAPS_API_KEY = process.env.GOOGLE_MAPS_API_KEY;
+const PROVIDER = process.env.PROVIDER || 'google'; // google, replay or record
+
+// --stdio serves one local MCP client (e.g. Claude Desktop) over stdin/stdout
+// instead of HTTP; stdout then belongs to the protocol, so logs go to stderr
+const STDIO = process.argv.includes('--stdio');
+
+// JSON logs; the Maps key never appears in them, addresses only if allowed
+logger.configure({
+  level: process.env.LOG_LEVEL || 'info',
+  redactAddresses: process.env.LOG_REDACT_ADDRESSES === 'true',
+  secrets: [GOOGLE_MAPS_API_KEY],
+  stdout: !STDIO
+});
 
-if (!GOOGLE_MAPS_API_KEY) {
-  console.error('❌ GOOGLE_MAPS_API_KEY environment variable is required');
+// Replay serves recorded fixtures and never calls Google
+if (!GOOGLE_MAPS_API_KEY && PROVIDER !== 'replay') {
+  logger.error('GOOGLE_MAPS_API_KEY environment variable is required');
   process.exit(1);
 }
 
-// Simple rate limiting for public access
-const requestCounts = new Map();
-const RATE_LIMIT = 50; // requests per hour per IP
-const WINDOW = 60 * 60 * 1000; // 1 hour window
+// Token-bucket rate limiting per client
+const RATE_LIMIT = 50; // default tokens per hour per client
+const WINDOW = 60 * 60 * 1000; // a drained bucket refills over 1 hour
+const USAGE_IDLE_TIMEOUT = 24 * 60 * 60 * 1000; // forget anonymous clients after a quiet day
+
+// Optional API keys; without a clients file the server is public and
+// every IP address counts as its own client
+const clients = process.env.CLIENTS_FILE ?
+  ClientRegistry.fromFile(process.env.CLIENTS_FILE, { defaultRateLimit: RATE_LIMIT }) :
+  new ClientRegistry({ defaultRateLimit: RATE_LIMIT });
+
+// Over stdio the client is whoever started the process, so it needs no key
+const LOCAL_CLIENT = { id: 'local', name: 'local', rateLimit: RATE_LIMIT, allowedTools: null, authenticated: true };
+
+// Buckets live in memory, a file (survives restarts) or Redis (shared by instances)
+const rateLimiter = new RateLimiter({
+  store: createRateLimitStore({
+    type: process.env.RATE_LIMIT_STORE || 'memory',
+    file: process.env.RATE_LIMIT_FILE || 'rate-limits.json',
+    url: process.env.REDIS_URL,
+    timeout: parseInt(process.env.REDIS_TIMEOUT_MS) || 1000
+  }),
+  window: WINDOW
+});
 
-function checkRateLimit(ip) {
-  const now = Date.now();
-  const count = requestCounts.get(ip) || { count: 0, window: now };
-  
-  if (now - count.window > WINDOW) {
-    count.count = 1;
-    count.window = now;
-  } else {
-    count.count++;
+// Tokens each request costs; tools that fan out into several Google calls cost more
+const TOOL_COSTS = {
+  'tools/list': 0.1,
+  calculate_route: 1,
+  compare_routes: 3,
+  get_live_traffic: 1,
+  best_departure_time: 5,
+  optimize_stops: 2,
+  distance_matrix: 2,
+  geocode_address: 1,
+  reverse_geocode: 1,
+  find_places: 2,
+  export_route: 1,
+  route_elevation: 2,
+  estimate_costs: 1,
+  get_route_steps: 0.1,
+  ...jsonFromEnv('TOOL_COSTS')
+};
+
+async function checkRateLimit(client, cost, tool) {
+  // The local stdio client is only bounded by the budget guard
+  if (STDIO) return null;
+  
+  const { allowed, remaining, retryAfter } = await rateLimiter.take(client, cost);
+  
+  if (!allowed) {
+    recordUsage(client, { tool, outcome: 'rateLimited' });
+    rateLimitRejections.inc({ tool: tool ? toolLabel(tool) : 'tools/list' });
+    logger.warn('Rate limit exceeded', { retryAfter });
+    throw new McpError(RATE_LIMITED, `Rate limit exceeded. Retry after ${retryAfter} seconds.`, { retryAfter });
   }
+  return remaining;
+}
+
+// Prometheus metrics for /metrics
+const metrics = new MetricsRegistry();
+const toolCalls = metrics.counter('mcp_tool_calls_total', 'Tool calls by outcome (success, error, invalid, rate_limited, denied)', { labelNames: ['tool', 'outcome'] });
+const toolDuration = metrics.histogram('mcp_tool_duration_seconds', 'Tool call latency', { labelNames: ['tool'] });
+const toolErrors = metrics.counter('mcp_tool_errors_total', 'Failed tool calls by the Google status behind the failure (INTERNAL when there was none)', { labelNames: ['tool', 'status'] });
+const rateLimitRejections = metrics.counter('mcp_rate_limit_rejections_total', 'Requests rejected by the rate limiter', { labelNames: ['tool'] });
+const authFailures = metrics.counter('mcp_auth_failures_total', 'Requests rejected for a missing or invalid API key');
+const upstreamCalls = metrics.counter('google_api_calls_total', 'Google Maps API calls by method and response status', { labelNames: ['method', 'status'] });
+const upstreamRetries = metrics.counter('google_api_retries_total', 'Google Maps API calls retried after a transient failure', { labelNames: ['method'] });
+const upstreamDuration = metrics.histogram('google_api_duration_seconds', 'Google Maps API call latency', { labelNames: ['method'] });
+
+// Tool names as metric labels; anything else would let callers create unbounded series
+function toolLabel(name) {
+  return tools.some(tool => tool.name === name) ? name : 'unknown';
+}
+
+// Usage per client for /stats, kept beyond the rate limit window
+const clientUsage = new Map();
+
+function recordUsage(client, { tool, outcome, tokensRemaining }) {
+  const usage = clientUsage.get(client.id) || {
+    name: client.name,
+    authenticated: client.authenticated,
+    requests: 0,
+    toolCalls: {},
+    errors: 0,
+    invalid: 0,
+    rateLimited: 0,
+    denied: 0
+  };
   
-  requestCounts.set(ip, count);
-  return count.count <= RATE_LIMIT;
+  usage.requests++;
+  usage.lastSeen = Date.now();
+  if (tokensRemaining !== undefined) usage.tokensRemaining = tokensRemaining;
+  if (tool) usage.toolCalls[tool] = (usage.toolCalls[tool] || 0) + 1;
+  if (outcome === 'error') usage.errors++;
+  if (outcome === 'invalid') usage.invalid++;
+  if (outcome === 'rateLimited') usage.rateLimited++;
+  if (outcome === 'denied') usage.denied++;
+  
+  clientUsage.set(client.id, usage);
+  
+  if (tool && outcome) {
+    toolCalls.inc({ tool: toolLabel(tool), outcome: outcome === 'rateLimited' ? 'rate_limited' : outcome });
+  }
 }
 
-// Clean up old rate limit entries periodically
+// Clients seen within the last rate limit window
+function countActiveClients() {
+  const since = Date.now() - WINDOW;
+  return Array.from(clientUsage.values()).filter(usage => usage.lastSeen > since).length;
+}
+
+// MCP sessions by the last time a request carried their Mcp-Session-Id
+const sessions = new Map();
+const SESSION_IDLE_TIMEOUT = 30 * 60 * 1000; // a session with no requests for 30 minutes is gone
+
+function countActiveSessions() {
+  const since = Date.now() - SESSION_IDLE_TIMEOUT;
+  return Array.from(sessions.values()).filter(lastSeen => lastSeen > since).length;
+}
+
+// Clean up full rate limit buckets and anonymous usage entries periodically
 setInterval(() => {
   const now = Date.now();
-  for (const [ip, count] of requestCounts.entries()) {
-    if (now - count.window > WINDOW) {
-      requestCounts.delete(ip);
+  rateLimiter.store.prune(now);
+  for (const [id, lastSeen] of sessions.entries()) {
+    if (now - lastSeen > SESSION_IDLE_TIMEOUT) {
+      sessions.delete(id);
+    }
+  }
+  for (const [id, usage] of clientUsage.entries()) {
+    if (!usage.authenticated && now - usage.lastSeen > USAGE_IDLE_TIMEOUT) {
+      clientUsage.delete(id);
     }
   }
 }, 5 * 60 * 1000); // Clean up every 5 minutes
 
-// Initialize Google Maps service
-const googleMaps = new GoogleMapsService(GOOGLE_MAPS_API_KEY);
+// Google Maps service, budget guard, toll table and route store shared with the tools;
+// every call that reaches Google is counted, timed and logged
+const { googleMaps, budget, tollTable, routeStore } = createServices({
+  onUpstreamCall({ method, status, duration, attempt }) {
+    upstreamCalls.inc({ method, status });
+    if (attempt > 0) upstreamRetries.inc({ method });
+    upstreamDuration.observe({ method }, duration / 1000);
+    logger.info('Google API call', { method, status, latencyMs: duration, attempt });
+  }
+});
+configureTools({ googleMaps, tollTable, routeStore });
+
+metrics.counter('google_api_cache_hits_total', 'Google Maps API calls answered from the response cache', { collect: () => googleMaps.cache.stats().hits });
+metrics.counter('google_api_cache_misses_total', 'Google Maps API calls not in the response cache', { collect: () => googleMaps.cache.stats().misses });
+metrics.gauge('google_api_cache_entries', 'Responses held in the response cache', { collect: () => googleMaps.cache.stats().entries });
+metrics.gauge('google_api_open_circuits', 'Google Maps APIs whose circuit breaker is failing fast', {
+  collect: () => Object.values(googleMaps.circuitStats()).filter(circuit => circuit.state === 'open').length
+});
+metrics.gauge('google_api_daily_spend_usd', 'Estimated Google Maps spend today (UTC)', { collect: () => budget.stats().daily.spend });
+metrics.gauge('google_api_monthly_spend_usd', 'Estimated Google Maps spend this month (UTC)', { collect: () => budget.stats().monthly.spend });
+metrics.counter('google_api_budget_rejections_total', 'Google Maps calls refused because a budget cap was reached', { collect: () => budget.rejected });
+metrics.gauge('mcp_active_sessions', 'MCP sessions with a request in the last 30 minutes', { collect: countActiveSessions });
+metrics.gauge('mcp_active_clients', 'Clients with a request in the last hour', { collect: countActiveClients });
 
 // Create MCP server following Google's patterns
 const server = new Server(
@@ -59,527 +209,115 @@ const server = new Server(
   }
 );
 
-// Define MCP tools optimized for Claude
-const tools = [
-  {
-    name: 'calculate_route',
-    description: 'Calculate optimal driving route with real-time traffic from Google Maps. Returns detailed route information including distance, duration, traffic delays, and turn-by-turn directions.',
-    inputSchema: {
-      type: 'object',
-      properties: {
-        origin: { 
-          type: 'string', 
-          description: 'Starting location (address, place name, or coordinates like "40.7589,-73.9851")' 
-        },
-        destination: { 
-          type: 'string', 
-          description: 'Destination location (address, place name, or coordinates)' 
-        },
-        waypoints: { 
-          type: 'array', 
-          items: { type: 'string' }, 
-          description: 'Optional intermediate stops along the route',
-          maxItems: 8
-        },
-        options: {
-          type: 'object',
-          properties: {
-            avoidTolls: { type: 'boolean', default: false, description: 'Avoid toll roads' },
-            avoidHighways: { type: 'boolean', default: false, description: 'Avoid highways/freeways' },
-            departureTime: { type: 'string', description: 'ISO datetime or "now" for traffic prediction' },
-            trafficModel: { 
-              type: 'string', 
-              enum: ['best_guess', 'pessimistic', 'optimistic'],
-              default: 'best_guess',
-              description: 'Traffic prediction model'
-            }
-          }
-        }
-      },
-      required: ['origin', 'destination']
-    }
-  },
-  {
-    name: 'compare_routes',
-    description: 'Compare multiple route alternatives with different routing options (tolls, highways, traffic models) to find the best option.',
-    inputSchema: {
-      type: 'object',
-      properties: {
-        origin: { type: 'string', description: 'Starting location' },
-        destination: { type: 'string', description: 'Destination location' },
-        waypoints: { 
-          type: 'array', 
-          items: { type: 'string' },
-          description: 'Optional waypoints for all route comparisons'
-        },
-        compareOptions: {
-          type: 'array',
-          description: 'Array of different routing options to compare',
-          items: {
-            type: 'object',
-            properties: {
-              name: { type: 'string', description: 'Human-readable name for this route option' },
-              avoidTolls: { type: 'boolean' },
-              avoidHighways: { type: 'boolean' },
-              trafficModel: { type: 'string', enum: ['best_guess', 'pessimistic', 'optimistic'] }
-            }
-          }
-        }
-      },
-      required: ['origin', 'destination']
-    }
-  },
-  {
-    name: 'get_live_traffic',
-    description: 'Get current traffic conditions and travel time analysis for a specific route. Includes traffic delays and conditions.',
-    inputSchema: {
-      type: 'object',
-      properties: {
-        origin: { type: 'string', description: 'Starting location' },
-        destination: { type: 'string', description: 'Destination location' },
-        departureTime: { 
-          type: 'string', 
-          default: 'now',
-          description: 'Departure time for traffic analysis ("now" or ISO 8601 format)' 
-        }
-      },
-      required: ['origin', 'destination']
-    }
-  },
-  {
-    name: 'estimate_costs',
-    description: 'Calculate comprehensive trip costs including fuel, tolls, and total expenses based on vehicle specifications.',
-    inputSchema: {
-      type: 'object',
-      properties: {
-        origin: { type: 'string', description: 'Starting location' },
-        destination: { type: 'string', description: 'Destination location' },
-        vehicleOptions: {
-          type: 'object',
-          description: 'Vehicle specifications for cost calculation',
-          properties: {
-            fuelEfficiency: { 
-              type: 'number', 
-              description: 'Vehicle fuel consumption in liters per 100km (e.g., 8.0)',
-              minimum: 3.0,
-              maximum: 25.0,
-              default: 8.0
-            },
-            fuelPrice: { 
-              type: 'number', 
-              description: 'Current fuel price per liter in USD (e.g., 1.50)',
-              minimum: 0.50,
-              maximum: 5.00,
-              default: 1.50
-            }
-          }
-        }
-      },
-      required: ['origin', 'destination']
-    }
-  }
-];
-
 // Helper function to get client IP
-function getClientIP(extra) {
-  return extra?.req?.headers['x-forwarded-for']?.split(',')[0]?.trim() || 
-         extra?.req?.connection?.remoteAddress || 
-         extra?.req?.socket?.remoteAddress ||
+function getClientIP(req) {
+  return req.headers['x-forwarded-for']?.split(',')[0]?.trim() || 
+         req.socket?.remoteAddress ||
          'unknown';
 }
 
-// Tool handlers with rate limiting and usage logging
-server.setRequestHandler(ListToolsRequestSchema, async (request, extra) => {
-  const clientIP = getClientIP(extra);
-  
-  if (!checkRateLimit(clientIP)) {
-    console.log(`🚫 Rate limit exceeded for IP: ${clientIP}`);
-    throw new Error('Rate limit exceeded. Please try again later.');
-  }
-  
-  console.log(`📋 Tools list requested from IP: ${clientIP}`);
-  return { tools };
-});
+// Request ID from the caller or Cloud Run's trace header, else a new one
+function getRequestId(req) {
+  return req.headers['x-request-id'] ||
+         req.headers['x-cloud-trace-context']?.split('/')[0] ||
+         randomUUID();
+}
 
-server.setRequestHandler(CallToolRequestSchema, async (request, extra) => {
-  const { name, arguments: args } = request.params;
-  const clientIP = getClientIP(extra);
-  
-  if (!checkRateLimit(clientIP)) {
-    console.log(`🚫 Rate limit exceeded for IP: ${clientIP}`);
-    throw new Error('Rate limit exceeded. Please try again later.');
-  }
-  
-  console.log(`🔧 Executing tool: ${name} from IP: ${clientIP}`);
-  
-  try {
-    let result;
-    switch (name) {
-      case 'calculate_route':
-        result = await handleCalculateRoute(args);
-        break;
-      case 'compare_routes':
-        result = await handleCompareRoutes(args);
-        break;
-      case 'get_live_traffic':
-        result = await handleGetLiveTraffic(args);
-        break;
-      case 'estimate_costs':
-        result = await handleEstimateCosts(args);
-        break;
-      default:
-        throw new Error(`Unknown tool: ${name}`);
-    }
-    
-    console.log(`✅ Tool ${name} completed for IP: ${clientIP}`);
-    return result;
-    
-  } catch (error) {
-    console.error(`❌ Tool ${name} failed for IP ${clientIP}:`, error.message);
-    return {
-      content: [
-        {
-          type: 'text',
-          text: `Error: ${error.message}`
-        }
-      ],
-      isError: true
-    };
-  }
-});
+// The client and request ID of the /sse request an MCP message came in on.
+// The SDK hands request handlers nothing from the HTTP request, so the HTTP
+// listener authenticates the request and runs the transport inside this.
+const httpCaller = new AsyncLocalStorage();
 
-// Enhanced tool implementation functions
-async function handleCalculateRoute(args) {
-  const { origin, destination, waypoints = [], options = {} } = args;
-  
-  // Input validation
-  if (!origin?.trim() || !destination?.trim()) {
-    throw new Error('Origin and destination are required and cannot be empty');
+// Authenticated client, or the caller's IP when no API keys are configured
+function identifyClient() {
+  if (STDIO) {
+    requestContext.getStore().clientId = LOCAL_CLIENT.id;
+    return LOCAL_CLIENT;
   }
-
-  console.log(`🗺️ Calculating route: ${origin} → ${destination}`);
   
-  const route = await googleMaps.calculateRoute({
-    origin: origin.trim(),
-    destination: destination.trim(),
-    waypoints: waypoints.map(w => w.trim()).filter(w => w),
-    ...options
-  });
-
-  const result = {
-    success: true,
-    route: {
-      summary: route.summary,
-      distance: {
-        meters: route.distance,
-        kilometers: (route.distance / 1000).toFixed(1),
-        text: `${(route.distance / 1000).toFixed(1)} km`
-      },
-      duration: {
-        seconds: route.duration,
-        text: formatDuration(route.duration)
-      },
-      durationInTraffic: {
-        seconds: route.durationInTraffic,
-        text: formatDuration(route.durationInTraffic)
-      },
-      trafficDelay: {
-        seconds: route.durationInTraffic - route.duration,
-        text: formatDuration(route.durationInTraffic - route.duration)
-      },
-      steps: route.steps?.slice(0, 8), // Limit for readability
-      warnings: route.warnings,
-      polyline: route.polyline
-    },
-    metadata: {
-      timestamp: new Date().toISOString(),
-      trafficModel: options.trafficModel || 'best_guess',
-      requestedWaypoints: waypoints.length
-    }
-  };
-
-  return {
-    content: [
-      {
-        type: 'text',
-        text: JSON.stringify(result, null, 2)
-      }
-    ]
-  };
+  const caller = httpCaller.getStore();
+  if (!caller) {
+    throw new McpError(UNAUTHORIZED, 'Unauthorized: request did not pass authentication');
+  }
+  requestContext.getStore().clientId = caller.client.id;
+  return caller.client;
 }
 
-async function handleCompareRoutes(args) {
-  const { origin, destination, waypoints = [], compareOptions = [] } = args;
-  
-  console.log(`🔄 Comparing routes: ${origin} → ${destination}`);
-  
-  const routePromises = [];
-  const routeLabels = [];
-  
-  // Default route
-  routePromises.push(googleMaps.calculateRoute({
-    origin,
-    destination,
-    waypoints,
-    alternatives: true
+// Tool handlers with authentication, rate limiting and usage logging; each
+// request runs in its own logging context
+server.setRequestHandler(ListToolsRequestSchema, () =>
+  requestContext.run({ requestId: httpCaller.getStore()?.requestId ?? randomUUID() }, async () => {
+    const client = identifyClient();
+    const tokensRemaining = await checkRateLimit(client, TOOL_COSTS['tools/list']);
+    
+    recordUsage(client, { tokensRemaining });
+    logger.info('Tools list requested');
+    return { tools: tools.filter(tool => canUseTool(client, tool.name)) };
   }));
-  routeLabels.push('Default Route');
-  
-  // Custom option routes
-  for (const [index, option] of compareOptions.entries()) {
-    routePromises.push(googleMaps.calculateRoute({
-      origin,
-      destination,
-      waypoints,
-      ...option
-    }));
-    routeLabels.push(option.name || `Option ${index + 1}`);
-  }
-  
-  const routes = await Promise.all(routePromises);
-  
-  const comparison = {
-    routes: routes.map((route, index) => ({
-      id: index,
-      label: routeLabels[index],
-      summary: route.summary,
-      distance: {
-        meters: route.distance,
-        text: `${(route.distance / 1000).toFixed(1)} km`
-      },
-      duration: {
-        seconds: route.duration,
-        text: formatDuration(route.duration)
-      },
-      durationInTraffic: {
-        seconds: route.durationInTraffic,
-        text: formatDuration(route.durationInTraffic)
-      },
-      trafficDelay: {
-        seconds: route.durationInTraffic - route.duration,
-        text: formatDuration(route.durationInTraffic - route.duration)
-      },
-      options: index === 0 ? 'default' : compareOptions[index - 1]
-    })),
-    recommendation: findBestRoute(routes, routeLabels),
-    summary: {
-      fastestRoute: findFastestRoute(routes, routeLabels),
-      shortestRoute: findShortestRoute(routes, routeLabels),
-      totalRoutesCompared: routes.length
-    }
-  };
-  
-  const result = {
-    success: true,
-    comparison,
-    metadata: {
-      timestamp: new Date().toISOString(),
-      routesCompared: routes.length,
-      origin,
-      destination
-    }
-  };
 
-  return {
-    content: [
-      {
-        type: 'text',
-        text: JSON.stringify(result, null, 2)
-      }
-    ]
+server.setRequestHandler(CallToolRequestSchema, request => {
+  const { name, arguments: args } = request.params;
+  const context = {
+    requestId: httpCaller.getStore()?.requestId ?? randomUUID(),
+    tool: toolLabel(name),
+    addresses: collectAddresses(args),
+    upstreamStatus: null
   };
-}
-
-async function handleGetLiveTraffic(args) {
-  const { origin, destination, departureTime = 'now' } = args;
   
-  console.log(`🚦 Getting traffic info: ${origin} → ${destination} at ${departureTime}`);
-  
-  const trafficData = await googleMaps.getTrafficInfo({
-    origin,
-    destination,
-    departureTime
-  });
-  
-  const trafficDelay = trafficData.durationInTraffic - trafficData.duration;
-  
-  const result = {
-    success: true,
-    traffic: {
-      currentDuration: {
-        seconds: trafficData.duration,
-        text: formatDuration(trafficData.duration)
-      },
-      durationInTraffic: {
-        seconds: trafficData.durationInTraffic,
-        text: formatDuration(trafficData.durationInTraffic)
-      },
-      trafficDelay: {
-        seconds: trafficDelay,
-        text: formatDuration(trafficDelay)
-      },
-      trafficCondition: getTrafficCondition(trafficData),
-      route: {
-        summary: trafficData.route?.summary || trafficData.summary,
-        distance: `${(trafficData.distance / 1000).toFixed(1)} km`
-      }
-    },
-    metadata: {
-      timestamp: new Date().toISOString(),
-      departureTime,
-      origin,
-      destination
+  return requestContext.run(context, async () => {
+    const client = identifyClient();
+    const tokensRemaining = await checkRateLimit(client, TOOL_COSTS[name] ?? 1, name);
+    
+    if (!tools.some(tool => tool.name === name)) {
+      recordUsage(client, { tool: name, outcome: 'invalid', tokensRemaining });
+      logger.warn('Unknown tool requested', { name });
+      return errorResult([{ code: 'UNKNOWN_TOOL', field: 'name', message: `Unknown tool: ${name}` }]);
     }
-  };
-
-  return {
-    content: [
-      {
-        type: 'text',
-        text: JSON.stringify(result, null, 2)
-      }
-    ]
-  };
-}
-
-async function handleEstimateCosts(args) {
-  const { origin, destination, vehicleOptions = {} } = args;
-  
-  console.log(`💰 Estimating costs for route: ${origin} → ${destination}`);
-  
-  const route = await googleMaps.calculateRoute({ origin, destination });
-  
-  const fuelEfficiency = vehicleOptions.fuelEfficiency || 8.0; // L/100km
-  const fuelPrice = vehicleOptions.fuelPrice || 1.50; // per liter
-  
-  const distanceKm = route.distance / 1000;
-  const fuelNeeded = (distanceKm / 100) * fuelEfficiency;
-  const fuelCost = fuelNeeded * fuelPrice;
-  const tollCost = distanceKm * 0.05; // Rough estimate
-  
-  const result = {
-    success: true,
-    costs: {
-      fuel: {
-        amount: Math.round(fuelCost * 100) / 100,
-        currency: 'USD',
-        text: `$${(Math.round(fuelCost * 100) / 100).toFixed(2)}`
-      },
-      tolls: {
-        amount: Math.round(tollCost * 100) / 100,
-        currency: 'USD',
-        text: `$${(Math.round(tollCost * 100) / 100).toFixed(2)}`,
-        note: 'Estimated based on $0.05/km'
-      },
-      total: {
-        amount: Math.round((fuelCost + tollCost) * 100) / 100,
-        currency: 'USD',
-        text: `$${(Math.round((fuelCost + tollCost) * 100) / 100).toFixed(2)}`
-      },
-      breakdown: {
-        distance: `${distanceKm.toFixed(1)} km`,
-        fuelNeeded: `${fuelNeeded.toFixed(1)} L`,
-        fuelEfficiency: `${fuelEfficiency} L/100km`,
-        fuelPrice: `$${fuelPrice}/L`
-      }
-    },
-    route: {
-      distance: `${distanceKm.toFixed(1)} km`,
-      duration: formatDuration(route.duration),
-      summary: route.summary
-    },
-    metadata: {
-      timestamp: new Date().toISOString(),
-      assumptions: {
-        fuelEfficiency: `${fuelEfficiency} L/100km`,
-        fuelPrice: `$${fuelPrice} per liter`,
-        tollEstimate: 'Estimated at $0.05 per kilometer'
-      }
+    if (!canUseTool(client, name)) {
+      recordUsage(client, { tool: name, outcome: 'denied', tokensRemaining });
+      logger.warn('Tool not allowed for client');
+      return errorResult([{ code: 'TOOL_NOT_ALLOWED', field: 'name', message: `Tool ${name} is not allowed for this API key` }]);
     }
-  };
-
-  return {
-    content: [
-      {
-        type: 'text',
-        text: JSON.stringify(result, null, 2)
+    
+    logger.info('Tool call started');
+    const started = Date.now();
+    
+    try {
+      const result = await callTool(name, args);
+      const latencyMs = Date.now() - started;
+      
+      toolDuration.observe({ tool: toolLabel(name) }, latencyMs / 1000);
+      recordUsage(client, { tool: name, outcome: 'success', tokensRemaining });
+      logger.info('Tool call completed', { latencyMs });
+      return result;
+      
+    } catch (error) {
+      const latencyMs = Date.now() - started;
+      
+      toolDuration.observe({ tool: toolLabel(name) }, latencyMs / 1000);
+      if (error instanceof ValidationError) {
+        recordUsage(client, { tool: name, outcome: 'invalid', tokensRemaining });
+        logger.warn('Tool call rejected', { latencyMs, errors: error.errors });
+        return errorResult(error.errors);
       }
-    ]
-  };
-}
-
-// Utility functions
-function formatDuration(seconds) {
-  if (!seconds || seconds < 0) return '0m';
-  
-  const hours = Math.floor(seconds / 3600);
-  const minutes = Math.floor((seconds % 3600) / 60);
-  
-  if (hours > 0) {
-    return `${hours}h ${minutes}m`;
-  }
-  return `${minutes}m`;
-}
-
-function getTrafficCondition(trafficData) {
-  const delay = trafficData.durationInTraffic - trafficData.duration;
-  const ratio = delay / trafficData.duration;
-  
-  if (ratio < 0.1) return 'light';
-  if (ratio < 0.3) return 'moderate';
-  if (ratio < 0.5) return 'heavy';
-  return 'severe';
-}
-
-function findBestRoute(routes, labels) {
-  const fastest = routes.reduce((best, current, index) => 
-    current.durationInTraffic < best.route.durationInTraffic ? 
-    { route: current, index, label: labels[index] } : best
-  , { route: routes[0], index: 0, label: labels[0] });
-  
-  return {
-    recommended: fastest,
-    reason: 'Fastest travel time considering current traffic conditions',
-    timeSaved: routes[0].durationInTraffic - fastest.route.durationInTraffic
-  };
-}
-
-function findFastestRoute(routes, labels) {
-  const fastest = routes.reduce((best, current, index) => 
-    current.durationInTraffic < best.route.durationInTraffic ? 
-    { route: current, index, label: labels[index] } : best
-  , { route: routes[0], index: 0, label: labels[0] });
-  
-  return {
-    label: fastest.label,
-    duration: formatDuration(fastest.route.durationInTraffic)
-  };
-}
-
-function findShortestRoute(routes, labels) {
-  const shortest = routes.reduce((best, current, index) => 
-    current.distance < best.route.distance ? 
-    { route: current, index, label: labels[index] } : best
-  , { route: routes[0], index: 0, label: labels[0] });
-  
-  return {
-    label: shortest.label,
-    distance: `${(shortest.route.distance / 1000).toFixed(1)} km`
-  };
-}
+      
+      toolErrors.inc({ tool: toolLabel(name), status: context.upstreamStatus || 'INTERNAL' });
+      recordUsage(client, { tool: name, outcome: 'error', tokensRemaining });
+      logger.error('Tool call failed', { latencyMs, error });
+      return errorResult(describeError(error, context.upstreamStatus));
+    }
+  });
+});
 
 // Create HTTP server with Google's recommended /sse endpoint
 const httpServer = http.createServer();
 
-// Create streamable HTTP transport on /sse endpoint (Google's pattern)
-const transport = new StreamableHTTPServerTransport(httpServer, '/sse');
-
 // Health check endpoint for Cloud Run with usage stats
 httpServer.on('request', (req, res) => {
   // Set CORS headers for web access
   res.setHeader('Access-Control-Allow-Origin', '*');
   res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-API-Key');
   
   if (req.method === 'OPTIONS') {
     res.writeHead(200);
@@ -594,10 +332,11 @@ httpServer.on('request', (req, res) => {
       service: 'google-maps-mcp',
       timestamp: new Date().toISOString(),
       version: '1.0.0',
-      access: 'public',
+      access: clients.enabled ? 'api-key' : 'public',
       endpoint: '/sse',
-      activeConnections: requestCounts.size,
-      totalRequests: Array.from(requestCounts.values()).reduce((sum, count) => sum + count.count, 0)
+      provider: googleMaps.provider.name,
+      activeConnections: countActiveClients(),
+      totalRequests: Array.from(clientUsage.values()).reduce((sum, usage) => sum + usage.requests, 0)
     }));
     return;
   }
@@ -606,9 +345,24 @@ httpServer.on('request', (req, res) => {
   if (req.url === '/stats') {
     res.writeHead(200, { 'Content-Type': 'application/json' });
     res.end(JSON.stringify({
-      activeIPs: requestCounts.size,
-      totalRequests: Array.from(requestCounts.values()).reduce((sum, count) => sum + count.count, 0),
-      rateLimitWindow: `${RATE_LIMIT} requests per hour`,
+      access: clients.enabled ? 'api-key' : 'public',
+      activeClients: countActiveClients(),
+      totalRequests: Array.from(clientUsage.values()).reduce((sum, usage) => sum + usage.requests, 0),
+      rateLimit: {
+        window: `${RATE_LIMIT} tokens per hour per client unless set per API key`,
+        store: rateLimiter.store.name,
+        toolCosts: TOOL_COSTS
+      },
+      // /stats is public, so clients known only by IP address are left out
+      clients: Array.from(clientUsage.values()).filter(usage => usage.authenticated).map(usage => ({
+        ...usage,
+        lastSeen: new Date(usage.lastSeen).toISOString()
+      })),
+      provider: googleMaps.provider.name,
+      cache: googleMaps.cache.stats(),
+      budget: budget.stats(),
+      circuits: googleMaps.circuitStats(),
+      routes: routeStore.stats(),
       timestamp: new Date().toISOString(),
       service: 'google-maps-mcp',
       version: '1.0.0'
@@ -616,57 +370,115 @@ httpServer.on('request', (req, res) => {
     return;
   }
   
-  // Handle other requests (MCP transport handles /sse)
-  if (!req.url.startsWith('/sse')) {
-    res.writeHead(404, { 'Content-Type': 'application/json' });
-    res.end(JSON.stringify({ error: 'Not found' }));
+  // Prometheus metrics endpoint
+  if (req.url === '/metrics') {
+    res.writeHead(200, { 'Content-Type': PROMETHEUS_CONTENT_TYPE });
+    res.end(metrics.render());
+    return;
+  }
+  
+  // MCP requests need a valid key when API keys are configured
+  if (req.url.startsWith('/sse')) {
+    const clientIP = getClientIP(req);
+    let client;
+    try {
+      client = clients.authenticate(req.headers, clientIP);
+    } catch (error) {
+      authFailures.inc();
+      logger.warn('Rejected unauthenticated request', { ip: clientIP, reason: error.message });
+      res.writeHead(401, { 'Content-Type': 'application/json', 'WWW-Authenticate': 'Bearer' });
+      res.end(JSON.stringify({ error: error.message }));
+      return;
+    }
+    
+    // Streamable HTTP clients send their session ID with every MCP request
+    const sessionId = req.headers['mcp-session-id'];
+    if (sessionId) {
+      if (req.method === 'DELETE') {
+        sessions.delete(sessionId);
+      } else {
+        sessions.set(sessionId, Date.now());
+      }
+    }
+    
+    httpCaller.run({ client, requestId: getRequestId(req) }, () => mcpEndpoint.emit('request', req, res));
+    return;
   }
+  
+  res.writeHead(404, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify({ error: 'Not found' }));
 });
 
+// The MCP transport listens here instead of on httpServer, so it only sees
+// /sse requests that passed authentication; this server never listens itself
+const mcpEndpoint = http.createServer();
+
 // Start server following Google Cloud Run patterns
 async function main() {
-  console.log('🚀 Starting Google Maps MCP Server (Public Access)...');
+  if (STDIO) {
+    await server.connect(new StdioServerTransport());
+    logger.info('Server running on stdio', { provider: googleMaps.provider.name });
+    // The client ends the session by closing stdin
+    process.stdin.on('end', shutdown);
+    return;
+  }
+  
+  logger.info('Starting Google Maps MCP Server', { access: clients.enabled ? 'api-key' : 'public' });
   
   try {
-    await server.connect(transport);
+    // Loaded only here, so stdio mode starts without the HTTP transport
+    const { StreamableHTTPServerTransport } = await import('@modelcontextprotocol/sdk/server/http.js');
+    // Streamable HTTP transport on the /sse endpoint (Google's pattern)
+    await server.connect(new StreamableHTTPServerTransport(mcpEndpoint, '/sse'));
     
     httpServer.listen(PORT, '0.0.0.0', () => {
-      console.log(`✅ Server running on port ${PORT}`);
-      console.log(`📍 MCP endpoint: /sse`);
-      console.log(`🏥 Health check: / and /health`);
-      console.log(`📊 Usage stats: /stats`);
-      console.log(`🔓 Public access enabled (no authentication required)`);
-      console.log(`🛡️ Rate limiting: ${RATE_LIMIT} requests per hour per IP`);
-      console.log('🌍 Ready for Claude Desktop connections!');
-      console.log('');
-      console.log('📋 Friends should use this config:');
-      console.log('   "command": "npx",');
-      console.log('   "args": ["-y", "mcp-remote", "https://YOUR-SERVICE-URL/sse"]');
+      logger.info('Server running', {
+        port: PORT,
+        endpoints: { mcp: '/sse', health: ['/', '/health'], stats: '/stats', metrics: '/metrics' },
+        provider: googleMaps.provider.name,
+        access: clients.enabled ? `api-key (${clients.clients.length} clients)` : 'public',
+        rateLimit: {
+          tokensPerHour: RATE_LIMIT,
+          per: clients.enabled ? 'api-key' : 'ip',
+          store: rateLimiter.store.name
+        },
+        // What friends should put in their Claude Desktop config
+        clientConfig: {
+          command: 'npx',
+          args: clients.enabled ?
+            ['-y', 'mcp-remote', 'https://YOUR-SERVICE-URL/sse', '--header', 'Authorization: Bearer YOUR-API-KEY'] :
+            ['-y', 'mcp-remote', 'https://YOUR-SERVICE-URL/sse']
+        }
+      });
     });
   } catch (error) {
-    console.error('❌ Failed to start server:', error);
+    logger.error('Failed to start server', { error });
     process.exit(1);
   }
 }
 
+// Save rate limits and spend before exiting
+async function shutdown() {
+  await rateLimiter.store.close();
+  budget.flush();
+  logger.info('Server closed');
+  process.exit(0);
+}
+
 // Graceful shutdown for Cloud Run
 process.on('SIGTERM', () => {
-  console.log('📴 SIGTERM received, shutting down gracefully...');
-  httpServer.close(() => {
-    console.log('✅ Server closed');
-    process.exit(0);
-  });
+  logger.info('SIGTERM received, shutting down gracefully');
+  if (STDIO) shutdown();
+  else httpServer.close(shutdown);
 });
 
 process.on('SIGINT', () => {
-  console.log('📴 SIGINT received, shutting down gracefully...');
-  httpServer.close(() => {
-    console.log('✅ Server closed');
-    process.exit(0);
-  });
+  logger.info('SIGINT received, shutting down gracefully');
+  if (STDIO) shutdown();
+  else httpServer.close(shutdown);
 });
 
 main().catch((error) => {
-  console.error('💥 Startup error:', error);
+  logger.error('Startup error', { error });
   process.exit(1);
 });
\ No newline at end of file
@@ -0,0 +1,131 @@
+// Structured JSON logging for Cloud Logging. Every entry carries the request
+// context (request ID, tool, client) of the call it was written under, and
+// secrets, optionally addresses too, are redacted before anything is written.
+import { AsyncLocalStorage } from 'async_hooks';
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const SEVERITY = { debug: 'DEBUG', info: 'INFO', warn: 'WARNING', error: 'ERROR' };
+
+const SECRET_FIELDS = /^(key|api_?key|x-api-key|authorization|password|secret|token)$/i;
+const GOOGLE_KEY = /AIza[0-9A-Za-z_-]{35}/g;
+const ADDRESS_FIELDS = new Set([
+  'origin', 'destination', 'waypoints', 'stops', 'origins', 'destinations', 'address',
+  'near', 'from', 'to', 'location', 'latitude', 'longitude', 'lat', 'lng'
+]);
+const REDACTED = '[REDACTED]';
+const ADDRESS = '[ADDRESS]';
+
+// State for one MCP request: requestId, tool and clientId are logged with
+// every entry; addresses lists the caller's locations for redaction
+export const requestContext = new AsyncLocalStorage();
+
+// Location strings in tool arguments, so they can be redacted wherever they
+// turn up, such as inside error messages
+export function collectAddresses(value, field) {
+  if (typeof value === 'string') return field && ADDRESS_FIELDS.has(field) ? [value.trim()] : [];
+  if (Array.isArray(value)) return value.flatMap(item => collectAddresses(item, field));
+  if (value && typeof value === 'object') {
+    const coordinates = typeof value.latitude === 'number' && typeof value.longitude === 'number' ?
+      [`${value.latitude},${value.longitude}`] :
+      [];
+    return [...coordinates, ...Object.entries(value).flatMap(([key, item]) => collectAddresses(item, key))];
+  }
+  return [];
+}
+
+function serializeError(error) {
+  return {
+    message: error.message,
+    ...(error.response?.data?.status && { status: error.response.data.status }),
+    ...(error.response?.status && { httpStatus: error.response.status }),
+    ...(error.response?.data?.error_message && { detail: error.response.data.error_message })
+  };
+}
+
+export class Logger {
+  constructor({ level = 'info', redactAddresses = false, secrets = [], stdout = true } = {}) {
+    this.configure({ level, redactAddresses, secrets, stdout });
+  }
+
+  // stdout: false sends every entry to stderr, for when stdout carries
+  // protocol messages or command output
+  configure({ level = this.level, redactAddresses = this.redactAddresses, secrets = this.secrets, stdout = this.stdout } = {}) {
+    if (!LEVELS[level]) {
+      throw new Error(`Unknown log level: ${level} (expected debug, info, warn or error)`);
+    }
+    this.level = level;
+    this.redactAddresses = redactAddresses;
+    this.secrets = secrets.filter(secret => secret);
+    this.stdout = stdout;
+  }
+
+  redactString(text, addresses) {
+    let redacted = text.replace(GOOGLE_KEY, REDACTED);
+    for (const secret of this.secrets) {
+      redacted = redacted.split(secret).join(REDACTED);
+    }
+    for (const address of addresses) {
+      redacted = redacted.split(address).join(ADDRESS);
+    }
+    return redacted;
+  }
+
+  redact(value, addresses, field) {
+    if (field && SECRET_FIELDS.test(field)) return REDACTED;
+    if (field && this.redactAddresses && ADDRESS_FIELDS.has(field) && value != null) return ADDRESS;
+
+    if (value instanceof Error) return this.redact(serializeError(value), addresses);
+    if (typeof value === 'string') return this.redactString(value, addresses);
+    if (Array.isArray(value)) return value.map(item => this.redact(item, addresses));
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, this.redact(item, addresses, key)]));
+    }
+    return value;
+  }
+
+  log(level, message, fields = {}) {
+    if (LEVELS[level] < LEVELS[this.level]) return;
+
+    const context = requestContext.getStore() || {};
+    // Longest first, so an address inside a longer one doesn't leave fragments
+    const addresses = this.redactAddresses ?
+      (context.addresses || []).filter(address => address.length >= 3).sort((a, b) => b.length - a.length) :
+      [];
+
+    const entry = this.redact({
+      timestamp: new Date().toISOString(),
+      severity: SEVERITY[level],
+      message,
+      ...(context.requestId && { requestId: context.requestId }),
+      ...(context.tool && { tool: context.tool }),
+      ...(context.clientId && { clientId: context.clientId }),
+      ...fields
+    }, addresses);
+
+    const line = JSON.stringify(entry) + '\n';
+    if (LEVELS[level] >= LEVELS.warn || !this.stdout) {
+      process.stderr.write(line);
+    } else {
+      process.stdout.write(line);
+    }
+  }
+
+  debug(message, fields) {
+    this.log('debug', message, fields);
+  }
+
+  info(message, fields) {
+    this.log('info', message, fields);
+  }
+
+  warn(message, fields) {
+    this.log('warn', message, fields);
+  }
+
+  error(message, fields) {
+    this.log('error', message, fields);
+  }
+}
+
+// Shared by every module; index.js applies the environment configuration
+export const logger = new Logger();
@@ -0,0 +1,129 @@
+// Counters, gauges and histograms rendered in the Prometheus text format
+
+export const PROMETHEUS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30]; // seconds
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+// Series are keyed on their label values in labelNames order
+function seriesKey(labelNames, labels) {
+  return JSON.stringify(labelNames.map(name => labels[name] ?? ''));
+}
+
+function labelsFromKey(labelNames, key) {
+  const values = JSON.parse(key);
+  return Object.fromEntries(labelNames.map((name, i) => [name, values[i]]));
+}
+
+class Metric {
+  constructor(type, name, help, { labelNames = [], collect } = {}) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    // Optional callback returning the current value, for values kept elsewhere
+    this.collect = collect;
+    this.series = new Map();
+  }
+
+  header() {
+    return [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+  }
+
+  render() {
+    if (this.collect) {
+      return [...this.header(), `${this.name} ${this.collect()}`];
+    }
+    const lines = [...this.series.entries()].map(([key, value]) =>
+      `${this.name}${formatLabels(labelsFromKey(this.labelNames, key))} ${value}`);
+    return [...this.header(), ...lines];
+  }
+}
+
+export class Counter extends Metric {
+  constructor(name, help, options) {
+    super('counter', name, help, options);
+  }
+
+  inc(labels = {}, amount = 1) {
+    const key = seriesKey(this.labelNames, labels);
+    this.series.set(key, (this.series.get(key) || 0) + amount);
+  }
+}
+
+export class Gauge extends Metric {
+  constructor(name, help, options) {
+    super('gauge', name, help, options);
+  }
+
+  set(labels, value) {
+    this.series.set(seriesKey(this.labelNames, labels), value);
+  }
+}
+
+export class Histogram extends Metric {
+  constructor(name, help, { buckets = DEFAULT_BUCKETS, ...options } = {}) {
+    super('histogram', name, help, options);
+    this.buckets = buckets;
+  }
+
+  observe(labels, value) {
+    const key = seriesKey(this.labelNames, labels);
+    const series = this.series.get(key) || { counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+    this.buckets.forEach((bound, i) => {
+      if (value <= bound) series.counts[i]++;
+    });
+    series.sum += value;
+    series.count++;
+    this.series.set(key, series);
+  }
+
+  render() {
+    const lines = this.header();
+    for (const [key, series] of this.series.entries()) {
+      const labels = labelsFromKey(this.labelNames, key);
+      this.buckets.forEach((bound, i) => {
+        lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: bound })} ${series.counts[i]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${series.count}`);
+      lines.push(`${this.name}_sum${formatLabels(labels)} ${series.sum}`);
+      lines.push(`${this.name}_count${formatLabels(labels)} ${series.count}`);
+    }
+    return lines;
+  }
+}
+
+export class MetricsRegistry {
+  constructor() {
+    this.metrics = [];
+  }
+
+  register(metric) {
+    this.metrics.push(metric);
+    return metric;
+  }
+
+  counter(name, help, options) {
+    return this.register(new Counter(name, help, options));
+  }
+
+  gauge(name, help, options) {
+    return this.register(new Gauge(name, help, options));
+  }
+
+  histogram(name, help, options) {
+    return this.register(new Histogram(name, help, options));
+  }
+
+  render() {
+    return this.metrics.map(metric => metric.render().join('\n')).join('\n\n') + '\n';
+  }
+}
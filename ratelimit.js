@@ -0,0 +1,332 @@
+// Token-bucket rate limiting with pluggable stores. A store runs one atomic
+// take(key, bucket) against its own state, so limits can live in memory, in
+// a file that survives restarts, or in Redis shared by every instance.
+import { readFileSync, renameSync, writeFileSync } from 'fs';
+import net from 'net';
+import tls from 'tls';
+import { logger } from './logger.js';
+
+// JSON-RPC error code for rate-limited requests (server error range, 429 as a mnemonic)
+export const RATE_LIMITED = -32029;
+
+const FILE_FLUSH_DELAY = 1000; // ms to batch bucket updates before writing the file
+
+// Refill a bucket up to `capacity` and try to take `cost` tokens from it
+function takeFromBucket(state, { capacity, refillPerMs, cost, now }) {
+  const tokens = state ?
+    Math.min(capacity, state.tokens + Math.max(0, now - state.updated) * refillPerMs) :
+    capacity;
+
+  if (tokens >= cost) {
+    return { allowed: true, tokens: tokens - cost, retryAfterMs: 0 };
+  }
+  return { allowed: false, tokens, retryAfterMs: Math.ceil((cost - tokens) / refillPerMs) };
+}
+
+// Buckets in process memory; reset on restart and not shared between instances
+export class MemoryStore {
+  constructor() {
+    this.name = 'memory';
+    this.buckets = new Map();
+  }
+
+  async take(key, bucket) {
+    const result = takeFromBucket(this.buckets.get(key), bucket);
+    this.buckets.set(key, {
+      tokens: result.tokens,
+      updated: bucket.now,
+      expires: bucket.now + Math.ceil(bucket.capacity / bucket.refillPerMs)
+    });
+    return result;
+  }
+
+  // Full buckets carry no information, so drop them
+  prune(now = Date.now()) {
+    for (const [key, state] of this.buckets.entries()) {
+      if (state.expires <= now) {
+        this.buckets.delete(key);
+      }
+    }
+  }
+
+  async close() {}
+}
+
+// Memory buckets mirrored to a JSON file so limits survive restarts
+export class FileStore extends MemoryStore {
+  constructor({ file }) {
+    super();
+    this.name = 'file';
+    this.file = file;
+    this.flushTimer = null;
+
+    try {
+      this.buckets = new Map(Object.entries(JSON.parse(readFileSync(file, 'utf8'))));
+      this.prune();
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.warn('Ignoring unreadable rate limit file', { file, error });
+      }
+    }
+  }
+
+  async take(key, bucket) {
+    const result = await super.take(key, bucket);
+    if (!this.flushTimer) {
+      this.flushTimer = setTimeout(() => this.flush(), FILE_FLUSH_DELAY);
+    }
+    return result;
+  }
+
+  flush() {
+    clearTimeout(this.flushTimer);
+    this.flushTimer = null;
+    try {
+      writeFileSync(`${this.file}.tmp`, JSON.stringify(Object.fromEntries(this.buckets)));
+      renameSync(`${this.file}.tmp`, this.file);
+    } catch (error) {
+      logger.error('Failed to write rate limit file', { file: this.file, error });
+    }
+  }
+
+  async close() {
+    this.flush();
+  }
+}
+
+// Minimal RESP client, enough to run commands against Redis or a compatible server
+class RedisConnection {
+  constructor(url, { timeout = 1000 } = {}) {
+    this.url = new URL(url);
+    this.timeout = timeout;
+    this.socket = null;
+    this.pending = [];
+    this.buffer = Buffer.alloc(0);
+  }
+
+  connect() {
+    const port = parseInt(this.url.port) || 6379;
+    const host = this.url.hostname;
+    const socket = this.url.protocol === 'rediss:' ?
+      tls.connect({ host, port, servername: host }) :
+      net.createConnection({ host, port });
+    this.socket = socket;
+
+    // A dropped socket may close after its replacement connected, and must
+    // not take the replacement's pending commands down with it
+    socket.on('data', chunk => {
+      if (socket === this.socket) this.receive(chunk);
+    });
+    socket.on('error', error => {
+      if (socket === this.socket) this.reset(error);
+    });
+    socket.on('close', () => {
+      if (socket === this.socket) this.reset(new Error('Redis connection closed'));
+    });
+
+    const setup = [];
+    if (this.url.password) {
+      setup.push(this.url.username ?
+        ['AUTH', decodeURIComponent(this.url.username), decodeURIComponent(this.url.password)] :
+        ['AUTH', decodeURIComponent(this.url.password)]);
+    }
+    const db = parseInt(this.url.pathname.slice(1));
+    if (db) setup.push(['SELECT', String(db)]);
+    for (const args of setup) {
+      this.send(args).catch(error => socket.destroy(error));
+    }
+  }
+
+  reset(error) {
+    this.socket = null;
+    this.buffer = Buffer.alloc(0);
+    for (const { reject } of this.pending.splice(0)) {
+      reject(error);
+    }
+  }
+
+  // A reply that doesn't arrive within the timeout (including while still
+  // connecting) drops the connection, which rejects every pending command
+  send(args) {
+    const socket = this.socket;
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        socket.destroy(new Error(`Redis command timed out after ${this.timeout}ms`));
+      }, this.timeout);
+      this.pending.push({
+        resolve: value => { clearTimeout(timer); resolve(value); },
+        reject: error => { clearTimeout(timer); reject(error); }
+      });
+      socket.write(`*${args.length}\r\n` +
+        args.map(arg => `$${Buffer.byteLength(String(arg))}\r\n${arg}\r\n`).join(''));
+    });
+  }
+
+  command(...args) {
+    if (!this.socket) this.connect();
+    return this.send(args);
+  }
+
+  receive(chunk) {
+    this.buffer = Buffer.concat([this.buffer, chunk]);
+    let reply;
+    while ((reply = this.parse())) {
+      this.buffer = this.buffer.subarray(reply.offset);
+      const { resolve, reject } = this.pending.shift() || {};
+      if (reply.value instanceof Error) reject?.(reply.value);
+      else resolve?.(reply.value);
+    }
+  }
+
+  // Something that isn't Redis on the other end can't be recovered from; drop
+  // the connection rather than let the error escape the socket's data handler
+  parse() {
+    try {
+      return parseReply(this.buffer, 0);
+    } catch (error) {
+      const socket = this.socket;
+      this.reset(error);
+      socket.destroy();
+      return null;
+    }
+  }
+
+  close() {
+    this.socket?.end();
+  }
+}
+
+// Parse one RESP reply starting at `offset`, or return null until it is complete
+function parseReply(buffer, offset) {
+  const lineEnd = buffer.indexOf('\r\n', offset);
+  if (lineEnd === -1) return null;
+
+  const type = String.fromCharCode(buffer[offset]);
+  const line = buffer.toString('utf8', offset + 1, lineEnd);
+  const next = lineEnd + 2;
+
+  switch (type) {
+    case '+':
+      return { value: line, offset: next };
+    case '-':
+      return { value: new Error(line), offset: next };
+    case ':':
+      return { value: parseInt(line), offset: next };
+    case '$': {
+      const length = parseInt(line);
+      if (length === -1) return { value: null, offset: next };
+      if (buffer.length < next + length + 2) return null;
+      return { value: buffer.toString('utf8', next, next + length), offset: next + length + 2 };
+    }
+    case '*': {
+      const count = parseInt(line);
+      if (count === -1) return { value: null, offset: next };
+      const items = [];
+      let position = next;
+      for (let i = 0; i < count; i++) {
+        const item = parseReply(buffer, position);
+        if (!item) return null;
+        items.push(item.value);
+        position = item.offset;
+      }
+      return { value: items, offset: position };
+    }
+    default:
+      throw new Error(`Unexpected Redis reply type "${type}"`);
+  }
+}
+
+// Same refill-and-take as takeFromBucket, run atomically inside Redis
+const TAKE_SCRIPT = `
+local capacity = tonumber(ARGV[1])
+local refill = tonumber(ARGV[2])
+local cost = tonumber(ARGV[3])
+local now = tonumber(ARGV[4])
+local state = redis.call('HMGET', KEYS[1], 'tokens', 'updated')
+local tokens = capacity
+if state[1] then
+  tokens = math.min(capacity, tonumber(state[1]) + math.max(0, now - tonumber(state[2])) * refill)
+end
+local allowed = 0
+local retry = 0
+if tokens >= cost then
+  tokens = tokens - cost
+  allowed = 1
+else
+  retry = math.ceil((cost - tokens) / refill)
+end
+redis.call('HSET', KEYS[1], 'tokens', tostring(tokens), 'updated', tostring(now))
+redis.call('PEXPIRE', KEYS[1], math.ceil(capacity / refill))
+return { allowed, tostring(tokens), retry }
+`;
+
+// Buckets in Redis (or Valkey, Memorystore...), shared by every instance
+export class RedisStore {
+  constructor({ url, prefix = 'maps-mcp:ratelimit:', timeout }) {
+    this.name = 'redis';
+    this.prefix = prefix;
+    this.connection = new RedisConnection(url, { timeout });
+  }
+
+  async take(key, { capacity, refillPerMs, cost, now }) {
+    const [allowed, tokens, retryAfterMs] = await this.connection.command(
+      'EVAL', TAKE_SCRIPT, 1, this.prefix + key, capacity, refillPerMs, cost, now
+    );
+    return { allowed: allowed === 1, tokens: parseFloat(tokens), retryAfterMs };
+  }
+
+  // Redis expires full buckets itself
+  prune() {}
+
+  async close() {
+    this.connection.close();
+  }
+}
+
+export function createRateLimitStore({ type = 'memory', file, url, timeout } = {}) {
+  switch (type) {
+    case 'memory':
+      return new MemoryStore();
+    case 'file':
+      return new FileStore({ file });
+    case 'redis':
+      if (!url) {
+        throw new Error('REDIS_URL is required for the redis rate limit store');
+      }
+      return new RedisStore({ url, timeout });
+    default:
+      throw new Error(`Unknown rate limit store: ${type} (expected memory, file or redis)`);
+  }
+}
+
+// Each client gets a bucket of `rateLimit` tokens that refills over `window`
+export class RateLimiter {
+  constructor({ store = new MemoryStore(), window = 60 * 60 * 1000 } = {}) {
+    this.store = store;
+    this.window = window;
+  }
+
+  async take(client, cost = 1) {
+    const capacity = client.rateLimit;
+    const bucket = {
+      capacity,
+      refillPerMs: capacity / this.window,
+      // A request can never cost more than a full bucket
+      cost: Math.min(cost, capacity),
+      now: Date.now()
+    };
+
+    try {
+      const result = await this.store.take(client.id, bucket);
+      return {
+        allowed: result.allowed,
+        remaining: Math.floor(result.tokens * 10) / 10,
+        retryAfter: Math.ceil(result.retryAfterMs / 1000)
+      };
+    } catch (error) {
+      // Rather serve requests unmetered than fail them all when the store is down
+      logger.warn('Rate limit store failed, allowing request', { store: this.store.name, error });
+      return { allowed: true, remaining: null, retryAfter: 0 };
+    }
+  }
+}
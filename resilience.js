@@ -0,0 +1,114 @@
+// Retries with jittered backoff and circuit breaking for upstream calls
+
+// Google statuses that mean "try again later" rather than "this request is wrong"
+const TRANSIENT_STATUSES = new Set(['OVER_QUERY_LIMIT', 'UNKNOWN_ERROR']);
+const TRANSIENT_CODES = new Set(['ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE', 'ENETUNREACH']);
+
+// Overload, server errors, timeouts and dropped connections are worth
+// retrying; invalid requests, denied keys and empty results are not
+export function isTransientError(error) {
+  const status = error.response?.data?.status;
+  if (status) return TRANSIENT_STATUSES.has(status);
+
+  const httpStatus = error.response?.status;
+  if (httpStatus) return httpStatus === 429 || httpStatus >= 500;
+
+  return TRANSIENT_CODES.has(error.code);
+}
+
+// "Full jitter": a random wait up to the capped exponential delay, so
+// clients that failed together don't retry together
+export function backoffDelay(attempt, { baseDelay = 200, maxDelay = 2000 } = {}) {
+  return Math.round(Math.random() * Math.min(maxDelay, baseDelay * 2 ** attempt));
+}
+
+// Run fn(attempt), retrying transient failures up to `retries` more times
+export async function withRetries(fn, { retries = 2, baseDelay, maxDelay, shouldRetry = isTransientError, onRetry } = {}) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (error) {
+      if (attempt >= retries || !shouldRetry(error)) {
+        throw error;
+      }
+      const delay = backoffDelay(attempt, { baseDelay, maxDelay });
+      onRetry?.({ attempt: attempt + 1, delay, error });
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+}
+
+export class CircuitOpenError extends Error {
+  constructor(name, retryAfter) {
+    super(`${name} is failing; requests are paused for ${Math.ceil(retryAfter / 1000)}s while it recovers`);
+    this.name = 'CircuitOpenError';
+    this.retryAfter = retryAfter;
+  }
+}
+
+// Opens after `failureThreshold` consecutive transient failures and then
+// fails fast for `resetTimeout` ms, after which a single trial call decides
+// whether to close again or stay open
+export class CircuitBreaker {
+  constructor(name, { failureThreshold = 5, resetTimeout = 30 * 1000, isFailure = isTransientError } = {}) {
+    this.name = name;
+    this.failureThreshold = failureThreshold;
+    this.resetTimeout = resetTimeout;
+    this.isFailure = isFailure;
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = 0;
+    this.trialInFlight = false;
+  }
+
+  async execute(fn) {
+    if (this.state === 'open') {
+      const waited = Date.now() - this.openedAt;
+      if (waited < this.resetTimeout) {
+        throw new CircuitOpenError(this.name, this.resetTimeout - waited);
+      }
+      this.state = 'half-open';
+    }
+    const trial = this.state === 'half-open';
+    if (trial) {
+      if (this.trialInFlight) {
+        throw new CircuitOpenError(this.name, this.resetTimeout);
+      }
+      this.trialInFlight = true;
+    }
+
+    try {
+      const result = await fn();
+      this.recordSuccess();
+      return result;
+    } catch (error) {
+      // An error Google answered deliberately still shows the API is up
+      if (this.isFailure(error)) this.recordFailure();
+      else this.recordSuccess();
+      throw error;
+    } finally {
+      if (trial) this.trialInFlight = false;
+    }
+  }
+
+  recordSuccess() {
+    this.state = 'closed';
+    this.failures = 0;
+  }
+
+  recordFailure() {
+    this.failures++;
+    if (this.state === 'half-open' || this.failures >= this.failureThreshold) {
+      this.state = 'open';
+      this.openedAt = Date.now();
+    }
+  }
+
+  stats() {
+    return {
+      state: this.state,
+      consecutiveFailures: this.failures,
+      ...(this.state === 'open' && { openedAt: new Date(this.openedAt).toISOString() })
+    };
+  }
+}
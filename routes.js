@@ -0,0 +1,36 @@
+// Calculated routes kept in memory under a route ID, so get_route_steps can
+// page through their turn-by-turn steps after the first page was returned
+import { randomUUID } from 'crypto';
+import { ResponseCache } from './cache.js';
+
+export class RouteStore {
+  constructor({ maxEntries = 200, ttl = 60 * 60 * 1000 } = {}) {
+    this.ttl = ttl;
+    // Same LRU with expiry as the response cache, keyed on route ID
+    this.routes = new ResponseCache({ maxEntries });
+  }
+
+  get enabled() {
+    return this.routes.maxEntries > 0 && this.ttl > 0;
+  }
+
+  // Store a route with the output preferences it was calculated with; null
+  // when the store is disabled. Alternatives are dropped, since only the
+  // route itself can be paged.
+  save({ alternatives, ...route }, preferences = {}) {
+    if (!this.enabled) return null;
+
+    const id = randomUUID();
+    this.routes.set(id, { route, preferences, createdAt: new Date().toISOString() }, this.ttl);
+    return id;
+  }
+
+  get(id) {
+    return this.routes.get(id);
+  }
+
+  stats() {
+    const { entries, maxEntries, evictions } = this.routes.stats();
+    return { entries, maxEntries, evictions, ttlMinutes: Math.round(this.ttl / 60000) };
+  }
+}
@@ -0,0 +1,83 @@
+// The Google Maps service, budget guard, toll table and route store
+// configured from the environment, shared by the HTTP server, stdio mode and the CLI
+import { GoogleMapsService } from './google-maps.js';
+import { createProvider } from './providers.js';
+import { TollTable } from './tolls.js';
+import { BudgetGuard } from './budget.js';
+import { RouteStore } from './routes.js';
+import { logger, requestContext } from './logger.js';
+
+// For counts where 0 means something (no retries, cache off), so `|| default`
+// won't do; unset, unparsable and negative values get the default
+function countFromEnv(name, fallback) {
+  const value = parseInt(process.env[name]);
+  return value >= 0 ? value : fallback;
+}
+
+// JSON object settings; a malformed value is logged and left out rather
+// than stopping startup with a stack trace
+export function jsonFromEnv(name) {
+  if (!process.env[name]) return {};
+  let value = null;
+  try {
+    value = JSON.parse(process.env[name]);
+  } catch {}
+  if (value !== null && typeof value === 'object' && !Array.isArray(value)) {
+    return value;
+  }
+  logger.error(`Ignoring ${name}: expected a JSON object, using the defaults`, { value: process.env[name] });
+  return {};
+}
+
+export function createServices({ onUpstreamCall } = {}) {
+  // Toll prices come from an optional JSON table of plazas and priced road segments
+  const tollTable = process.env.TOLL_TABLE ? TollTable.fromFile(process.env.TOLL_TABLE) : new TollTable();
+
+  // Caps on the estimated Google Maps bill in USD; unset caps only track spend
+  const budget = new BudgetGuard({
+    dailyCap: process.env.BUDGET_DAILY_USD ? parseFloat(process.env.BUDGET_DAILY_USD) : null,
+    monthlyCap: process.env.BUDGET_MONTHLY_USD ? parseFloat(process.env.BUDGET_MONTHLY_USD) : null,
+    warnAt: (parseFloat(process.env.BUDGET_WARN_PERCENT) || 80) / 100,
+    prices: jsonFromEnv('BUDGET_PRICES'),
+    file: process.env.BUDGET_FILE || null
+  });
+
+  // Google Maps service with a response cache, budget guard, retries for
+  // transient failures and circuit breakers that fail fast during outages
+  const googleMaps = new GoogleMapsService(process.env.GOOGLE_MAPS_API_KEY, {
+    provider: createProvider({
+      type: process.env.PROVIDER || 'google', // google, replay or record
+      fixturesDir: process.env.FIXTURES_DIR || 'fixtures',
+      timeout: parseInt(process.env.UPSTREAM_TIMEOUT_MS) || 10000
+    }),
+    budget,
+    resilience: {
+      retries: countFromEnv('UPSTREAM_RETRIES', 2),
+      baseDelay: 200,
+      maxDelay: 2000,
+      failureThreshold: parseInt(process.env.CIRCUIT_FAILURE_THRESHOLD) || 5,
+      resetTimeout: (parseInt(process.env.CIRCUIT_RESET_SECONDS) || 30) * 1000
+    },
+    cache: {
+      maxEntries: countFromEnv('CACHE_MAX_ENTRIES', 500),
+      trafficTtl: (parseInt(process.env.CACHE_TRAFFIC_TTL_SECONDS) || 120) * 1000,
+      staticTtl: (parseInt(process.env.CACHE_STATIC_TTL_SECONDS) || 86400) * 1000
+    },
+    onUpstreamCall(call) {
+      // Lets a failed tool call be attributed to the Google status behind it
+      const context = requestContext.getStore();
+      if (context && call.status !== 'OK') {
+        context.upstreamStatus = call.status;
+      }
+      onUpstreamCall?.(call);
+    }
+  });
+
+  // Calculated routes whose steps get_route_steps can page through
+  const routeStore = new RouteStore({
+    maxEntries: countFromEnv('ROUTE_STORE_MAX_ENTRIES', 200),
+    ttl: (parseInt(process.env.ROUTE_STORE_TTL_MINUTES) || 60) * 60 * 1000
+  });
+
+  return { googleMaps, budget, tollTable, routeStore };
+}
@@ -1,95 +1,142 @@
-// Local testing script for development
-import http from 'http';
+// Local testing script for development. Runs the server in stdio mode and
+// calls every tool through it, against the recorded fixtures in fixtures/
+// (PROVIDER=replay), so it needs no API key or network. After changing the
+// calls below, record their fixtures with PROVIDER=record and a real key.
+import { spawn } from 'child_process';
+import { createInterface } from 'readline';
+import { fileURLToPath } from 'url';
 
-const SERVICE_URL = process.env.SERVICE_URL || 'http://localhost:8080';
+const REQUEST_TIMEOUT = 30 * 1000;
 
-async function testEndpoint(path, method = 'GET', data = null) {
-  return new Promise((resolve, reject) => {
-    const url = new URL(path, SERVICE_URL);
-    const options = {
-      hostname: url.hostname,
-      port: url.port || 80,
-      path: url.pathname,
-      method: method,
-      headers: {
-        'Content-Type': 'application/json'
-      }
-    };
+// One sample call per tool
+const TOOL_CALLS = [
+  { name: 'calculate_route', arguments: { origin: 'New York, NY', destination: 'Boston, MA' } },
+  { name: 'compare_routes', arguments: { origin: 'New York, NY', destination: 'Boston, MA', compareOptions: [{ name: 'No tolls', avoidTolls: true }] } },
+  { name: 'get_live_traffic', arguments: { origin: 'New York, NY', destination: 'Boston, MA' } },
+  // A fixed window (with an offset) so its requests match the recorded fixtures
+  { name: 'best_departure_time', arguments: { origin: 'New York, NY', destination: 'Boston, MA', windowStart: '2030-06-04T06:00:00-04:00', windowEnd: '2030-06-04T09:00:00-04:00', intervalMinutes: 60 } },
+  { name: 'optimize_stops', arguments: { origin: 'New York, NY', stops: ['Hartford, CT', 'Providence, RI', 'New Haven, CT'], destination: 'Boston, MA' } },
+  { name: 'distance_matrix', arguments: { origins: ['New York, NY', 'Albany, NY'], destinations: ['Boston, MA', 'Hartford, CT'] } },
+  { name: 'geocode_address', arguments: { address: 'Springfield' } },
+  { name: 'reverse_geocode', arguments: { latitude: 40.7589, longitude: -73.9851 } },
+  { name: 'find_places', arguments: { query: 'gas station', alongRoute: { origin: 'New York, NY', destination: 'Boston, MA', withinKm: 100 } } },
+  { name: 'export_route', arguments: { origin: 'New York, NY', destination: 'Boston, MA', format: 'gpx' } },
+  { name: 'route_elevation', arguments: { origin: 'Denver, CO', destination: 'Vail, CO', includeProfile: false } },
+  { name: 'estimate_costs', arguments: { origin: 'New York, NY', destination: 'Boston, MA' } }
+];
 
-    const req = http.request(options, (res) => {
-      let body = '';
-      res.on('data', (chunk) => body += chunk);
-      res.on('end', () => {
-        try {
-          const parsed = JSON.parse(body);
-          resolve({ status: res.statusCode, data: parsed });
-        } catch {
-          resolve({ status: res.statusCode, data: body });
-        }
-      });
-    });
+// The server as a child process speaking newline-delimited JSON-RPC on stdio
+function startServer() {
+  const child = spawn(process.execPath, ['index.js', '--stdio'], {
+    cwd: fileURLToPath(new URL('.', import.meta.url)),
+    env: {
+      ...process.env,
+      PROVIDER: process.env.PROVIDER || 'replay',
+      LOG_LEVEL: process.env.LOG_LEVEL || 'warn'
+    },
+    stdio: ['pipe', 'pipe', 'inherit']
+  });
+
+  const pending = new Map();
+  let nextId = 1;
 
-    req.on('error', reject);
-    
-    if (data) {
-      req.write(JSON.stringify(data));
+  createInterface({ input: child.stdout }).on('line', line => {
+    const message = JSON.parse(line);
+    pending.get(message.id)?.resolve(message);
+    pending.delete(message.id);
+  });
+  child.on('exit', code => {
+    for (const { reject } of pending.values()) {
+      reject(new Error(`Server exited with code ${code}`));
     }
-    
-    req.end();
+    pending.clear();
   });
+
+  return {
+    request(method, params = {}) {
+      const id = nextId++;
+      return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+          pending.delete(id);
+          reject(new Error(`No response to ${method} within ${REQUEST_TIMEOUT / 1000}s`));
+        }, REQUEST_TIMEOUT);
+        pending.set(id, {
+          resolve: message => { clearTimeout(timer); resolve(message); },
+          reject: error => { clearTimeout(timer); reject(error); }
+        });
+        child.stdin.write(JSON.stringify({ jsonrpc: '2.0', id, method, params }) + '\n');
+      });
+    },
+    notify(method, params = {}) {
+      child.stdin.write(JSON.stringify({ jsonrpc: '2.0', method, params }) + '\n');
+    },
+    // Closing stdin ends the session, and the server exits
+    close() {
+      child.stdin.end();
+    }
+  };
 }
 
 async function runTests() {
   console.log('🧪 Testing Google Maps MCP Server...\n');
+  const server = startServer();
 
   try {
-    // Test health endpoint
-    console.log('1. Testing health endpoint...');
-    const health = await testEndpoint('/health');
-    console.log(`   Status: ${health.status}`);
-    console.log(`   Response: ${JSON.stringify(health.data, null, 2)}\n`);
+    console.log('1. Initializing MCP session...');
+    const init = await server.request('initialize', {
+      protocolVersion: '2024-11-05',
+      capabilities: {},
+      clientInfo: { name: 'test-local', version: '1.0.0' }
+    });
+    server.notify('notifications/initialized');
+    console.log(`   Server: ${init.result?.serverInfo?.name} ${init.result?.serverInfo?.version}\n`);
 
-    // Test stats endpoint
-    console.log('2. Testing stats endpoint...');
-    const stats = await testEndpoint('/stats');
-    console.log(`   Status: ${stats.status}`);
-    console.log(`   Response: ${JSON.stringify(stats.data, null, 2)}\n`);
+    console.log('2. Testing MCP tools list...');
+    const toolsList = await server.request('tools/list');
+    const toolCount = toolsList.result?.tools?.length || 0;
+    console.log(`   Tools: ${toolCount} available\n`);
 
-    // Test MCP tools list
-    console.log('3. Testing MCP tools list...');
-    const toolsList = await testEndpoint('/sse', 'POST', {
-      jsonrpc: '2.0',
-      method: 'tools/list',
-      params: {},
-      id: 1
-    });
-    console.log(`   Status: ${toolsList.status}`);
-    console.log(`   Tools: ${toolsList.data.result?.tools?.length || 0} available\n`);
+    // Test every tool
+    let failures = toolCount === 0 ? 1 : 0;
+    let routeId;
+    for (const [index, call] of TOOL_CALLS.entries()) {
+      console.log(`${index + 3}. Testing ${call.name}...`);
+      const toolTest = await server.request('tools/call', call);
+      const ok = toolTest.result && !toolTest.result.isError;
+      if (!ok) failures++;
+      if (ok && call.name === 'calculate_route') {
+        routeId = JSON.parse(toolTest.result.content[0].text).route.routeId;
+      }
+      console.log(`   Result: ${ok ? 'Success' : 'Failed'}`);
+      if (!ok) {
+        console.log(`   ${toolTest.result?.content?.[0]?.text || toolTest.error?.message}`);
+      }
+      console.log();
+    }
 
-    // Test route calculation
-    console.log('4. Testing route calculation...');
-    const routeTest = await testEndpoint('/sse', 'POST', {
-      jsonrpc: '2.0',
-      method: 'tools/call',
-      params: {
-        name: 'calculate_route',
-        arguments: {
-          origin: 'New York, NY',
-          destination: 'Boston, MA'
-        }
-      },
-      id: 2
-    });
-    console.log(`   Status: ${routeTest.status}`);
-    console.log(`   Result: ${routeTest.data.result ? 'Success' : 'Failed'}\n`);
+    // Page through the rest of the first route's steps
+    console.log(`${TOOL_CALLS.length + 3}. Testing get_route_steps...`);
+    const stepsTest = await server.request('tools/call', { name: 'get_route_steps', arguments: { routeId, offset: 10 } });
+    const stepsOk = stepsTest.result && !stepsTest.result.isError;
+    if (!stepsOk) failures++;
+    console.log(`   Result: ${stepsOk ? 'Success' : 'Failed'}\n`);
+
+    if (failures > 0) {
+      console.error(`❌ ${failures} test(s) failed`);
+      process.exitCode = 1;
+      return;
+    }
 
     console.log('✅ All tests completed!');
 
   } catch (error) {
     console.error('❌ Test failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    server.close();
   }
 }
 
 if (process.argv[1].endsWith('test-local.js')) {
   runTests();
-}
\ No newline at end of file
+}
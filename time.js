@@ -0,0 +1,48 @@
+// Date-time helpers for local (wall clock) times and Google's epoch seconds
+
+const ISO_DATE_TIME = /^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?\s*(Z|[+-]\d{2}:?\d{2})?$/i;
+
+// Parse an ISO 8601 date-time. Strings with an offset (or Z) resolve to
+// `epoch` seconds; strings without one only give `wallClock` seconds, the
+// epoch the same digits would have in UTC, to be shifted by a time zone offset.
+export function parseDateTime(text) {
+  const invalid = new Error(`Invalid date-time "${text}"; use ISO 8601 such as 2025-06-03T08:30`);
+  const match = ISO_DATE_TIME.exec(String(text).trim());
+  if (!match) {
+    throw invalid;
+  }
+
+  // Date.UTC would roll 2030-02-30 over into March, so check the ranges first
+  const [, year, month, day, hour, minute, second = '0', offset] = match;
+  const daysInMonth = new Date(Date.UTC(+year, +month, 0)).getUTCDate();
+  if (+month < 1 || +month > 12 || +day < 1 || +day > daysInMonth || +hour > 23 || +minute > 59 || +second > 59) {
+    throw invalid;
+  }
+  const wallClock = Date.UTC(+year, +month - 1, +day, +hour, +minute, +second) / 1000;
+
+  if (!offset) {
+    return { wallClock };
+  }
+  if (offset.toUpperCase() === 'Z') {
+    return { epoch: wallClock };
+  }
+
+  const sign = offset[0] === '-' ? -1 : 1;
+  const digits = offset.slice(1).replace(':', '');
+  const offsetHours = parseInt(digits.slice(0, 2));
+  const offsetMinutes = parseInt(digits.slice(2));
+  if (offsetHours > 14 || offsetMinutes > 59) {
+    throw invalid;
+  }
+  const offsetSeconds = sign * (offsetHours * 3600 + offsetMinutes * 60);
+  return { epoch: wallClock - offsetSeconds };
+}
+
+// Format epoch seconds as an ISO 8601 string in a zone with the given offset
+export function formatLocalTime(epoch, offsetSeconds = 0) {
+  const local = new Date((epoch + offsetSeconds) * 1000).toISOString().slice(0, 19);
+  const sign = offsetSeconds < 0 ? '-' : '+';
+  const hours = String(Math.floor(Math.abs(offsetSeconds) / 3600)).padStart(2, '0');
+  const minutes = String(Math.floor((Math.abs(offsetSeconds) % 3600) / 60)).padStart(2, '0');
+  return `${local}${sign}${hours}:${minutes}`;
+}
@@ -0,0 +1,88 @@
+// Toll cost estimation from a configurable table of toll plazas and
+// distance-priced toll road segments
+import { readFileSync } from 'fs';
+import { nearestPointOnPath, routePath } from './geo.js';
+
+const DEFAULT_PLAZA_RADIUS = 500; // meters from the route polyline
+
+export class TollTable {
+  constructor({ currency = 'USD', plazas = [], segments = [] } = {}) {
+    this.currency = currency;
+    this.plazas = plazas;
+    this.segments = segments;
+  }
+
+  static fromFile(file) {
+    try {
+      return new TollTable(JSON.parse(readFileSync(file, 'utf8')));
+    } catch (error) {
+      throw new Error(`Failed to load toll table ${file}: ${error.message}`);
+    }
+  }
+
+  get size() {
+    return this.plazas.length + this.segments.length;
+  }
+
+  // Price the tolls on a route returned by GoogleMapsService.calculateRoute;
+  // `amount` totals the charges in `currency`, other currencies stay separate
+  estimate(route, currency = this.currency) {
+    const items = [];
+
+    // Plazas charge a fixed price when the route passes close enough to the
+    // full-resolution path; the overview polyline can stray further than that
+    if (this.plazas.length > 0 && route.polyline) {
+      const path = routePath(route);
+      for (const plaza of this.plazas) {
+        const nearest = nearestPointOnPath(path, plaza.location);
+        if (nearest.distance <= (plaza.radiusMeters || DEFAULT_PLAZA_RADIUS)) {
+          items.push({
+            name: plaza.name,
+            road: plaza.road,
+            type: 'plaza',
+            amount: plaza.price,
+            currency: plaza.currency || this.currency
+          });
+        }
+      }
+    }
+
+    // Segments charge per km driven on steps that mention the road as a whole
+    // word, so "I-9" doesn't match steps on I-95 (lookarounds rather than \b,
+    // which never matches after a name ending in punctuation)
+    for (const segment of this.segments) {
+      const escaped = (segment.match || segment.name).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      const match = new RegExp(`(?<!\\w)${escaped}(?!\\w)`, 'i');
+      const meters = (route.steps || [])
+        .filter(step => match.test(step.instruction))
+        .reduce((sum, step) => sum + (step.distanceMeters || 0), 0);
+
+      if (meters > 0) {
+        const km = meters / 1000;
+        items.push({
+          name: segment.name,
+          road: segment.road || segment.name,
+          type: 'segment',
+          distanceKm: Math.round(km * 10) / 10,
+          amount: Math.round(km * segment.pricePerKm * 100) / 100,
+          currency: segment.currency || this.currency
+        });
+      }
+    }
+
+    const amountsByCurrency = {};
+    for (const item of items) {
+      amountsByCurrency[item.currency] = Math.round(((amountsByCurrency[item.currency] || 0) + item.amount) * 100) / 100;
+    }
+
+    return {
+      hasTolls: Boolean(route.hasTolls) || items.length > 0,
+      amount: amountsByCurrency[currency] || 0,
+      currency,
+      amountsByCurrency,
+      items,
+      // Google flags toll roads we have no price for
+      unpriced: Boolean(route.hasTolls) && items.length === 0
+    };
+  }
+}
@@ -0,0 +1,2043 @@
+// The MCP tools: their schemas, argument validation and handlers. The HTTP
+// server, stdio mode and the CLI all run tools through callTool.
+import { EV_DEFAULTS, planCharging } from './ev.js';
+import {
+  createFormatter,
+  formatMoney,
+  litersPer100KmToMpg,
+  litersToGallons,
+  metersToMiles,
+  mpgToLitersPer100Km,
+  pricePerGallonToPerLiter,
+  pricePerLiterToPerGallon
+} from './units.js';
+import { formatLocalTime, parseDateTime } from './time.js';
+import { EXPORT_FORMATS, exportRoute } from './export.js';
+import { DEFAULT_VEHICLE_WEIGHT, analyzeElevation, extraEnergyForElevation, extraFuelForElevation } from './elevation.js';
+import { decodePolyline, haversineDistance, nearestPointOnPath, parseLatLng, samplePath } from './geo.js';
+import { logger } from './logger.js';
+import { BudgetExceededError } from './budget.js';
+import { CircuitOpenError } from './resilience.js';
+import { ValidationError, invalidArgument, validateArguments } from './validation.js';
+
+// Set by configureTools before any tool runs
+let googleMaps;
+let tollTable;
+let routeStore;
+
+export function configureTools(services) {
+  ({ googleMaps, tollTable, routeStore } = services);
+}
+
+// Steps returned inline with a route; get_route_steps pages through the rest
+const INLINE_STEPS = 10;
+
+// Output preferences accepted by every tool
+const localeProperties = {
+  units: {
+    type: 'string',
+    enum: ['metric', 'imperial'],
+    default: 'metric',
+    description: 'Units for distances and fuel (imperial uses miles, gallons and MPG)'
+  },
+  currency: {
+    type: 'string',
+    default: 'USD',
+    description: 'ISO 4217 currency code for costs (e.g., "USD", "EUR", "GBP"); prices you supply are read in this currency'
+  },
+  language: {
+    type: 'string',
+    description: 'Language for addresses and turn-by-turn instructions (e.g., "en", "en-GB", "de", "fr")'
+  }
+};
+
+// Define MCP tools optimized for Claude
+export const tools = [
+  {
+    name: 'calculate_route',
+    description: 'Calculate optimal route with real-time traffic from Google Maps. Supports driving, transit, walking and cycling. Returns detailed route information including distance, duration, traffic delays, transit lines and transfers, and the first turn-by-turn directions with a routeId for fetching the rest with get_route_steps.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        origin: { 
+          type: 'string', 
+          description: 'Starting location (address, place name, or coordinates like "40.7589,-73.9851")' 
+        },
+        destination: { 
+          type: 'string', 
+          description: 'Destination location (address, place name, or coordinates)' 
+        },
+        waypoints: { 
+          type: 'array', 
+          items: { type: 'string' }, 
+          description: 'Optional intermediate stops along the route',
+          maxItems: 8
+        },
+        options: {
+          type: 'object',
+          properties: {
+            mode: {
+              type: 'string',
+              enum: ['driving', 'transit', 'walking', 'bicycling'],
+              default: 'driving',
+              description: 'Travel mode'
+            },
+            avoidTolls: { type: 'boolean', default: false, description: 'Avoid toll roads' },
+            avoidHighways: { type: 'boolean', default: false, description: 'Avoid highways/freeways' },
+            departureTime: { type: 'string', description: '"now" or ISO 8601 date-time for traffic prediction (driving) or schedules (transit); without an offset it is read in the origin\'s local time' },
+            arrivalTime: { type: 'string', description: 'Arrive-by time (ISO 8601); without an offset it is read in the destination\'s local time. Returns a recommended departure that allows for pessimistic traffic' },
+            trafficModel: { 
+              type: 'string', 
+              enum: ['best_guess', 'pessimistic', 'optimistic'],
+              default: 'best_guess',
+              description: 'Traffic prediction model'
+            }
+          }
+        },
+        ...localeProperties
+      },
+      required: ['origin', 'destination']
+    }
+  },
+  {
+    name: 'get_route_steps',
+    description: 'Page through the turn-by-turn steps of a route from calculate_route or optimize_stops by its routeId. Each step includes its start and end coordinates and the cumulative distance and time from the start of the route. Routes are kept for an hour.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        routeId: { type: 'string', description: 'routeId returned with the route' },
+        offset: { type: 'integer', minimum: 0, default: 0, description: 'Number of steps to skip (nextOffset from the previous page)' },
+        limit: { type: 'integer', minimum: 1, maximum: 100, default: 25, description: 'Maximum steps to return' },
+        includePath: { type: 'boolean', default: false, description: 'Include each step\'s full path as coordinates, e.g. for drawing it on a map' },
+        units: localeProperties.units
+      },
+      required: ['routeId']
+    }
+  },
+  {
+    name: 'compare_routes',
+    description: 'Compare multiple route alternatives with different routing options (travel modes, tolls, highways, traffic models) to find the best option.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        origin: { type: 'string', description: 'Starting location' },
+        destination: { type: 'string', description: 'Destination location' },
+        mode: {
+          type: 'string',
+          enum: ['driving', 'transit', 'walking', 'bicycling'],
+          default: 'driving',
+          description: 'Travel mode for the default route and any option without its own mode'
+        },
+        waypoints: { 
+          type: 'array', 
+          items: { type: 'string' },
+          description: 'Optional waypoints for all route comparisons'
+        },
+        compareOptions: {
+          type: 'array',
+          description: 'Array of different routing options to compare',
+          items: {
+            type: 'object',
+            properties: {
+              name: { type: 'string', description: 'Human-readable name for this route option' },
+              mode: { type: 'string', enum: ['driving', 'transit', 'walking', 'bicycling'] },
+              avoidTolls: { type: 'boolean' },
+              avoidHighways: { type: 'boolean' },
+              trafficModel: { type: 'string', enum: ['best_guess', 'pessimistic', 'optimistic'] }
+            }
+          }
+        },
+        ...localeProperties
+      },
+      required: ['origin', 'destination']
+    }
+  },
+  {
+    name: 'get_live_traffic',
+    description: 'Get current traffic conditions and travel time analysis for a specific route. Includes traffic delays and conditions.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        origin: { type: 'string', description: 'Starting location' },
+        destination: { type: 'string', description: 'Destination location' },
+        departureTime: { 
+          type: 'string', 
+          default: 'now',
+          description: 'Departure time for traffic analysis ("now" or ISO 8601; without an offset it is read in the origin\'s local time)' 
+        },
+        mode: {
+          type: 'string',
+          enum: ['driving', 'transit', 'walking', 'bicycling'],
+          default: 'driving',
+          description: 'Travel mode (traffic delays only apply to driving)'
+        },
+        ...localeProperties
+      },
+      required: ['origin', 'destination']
+    }
+  },
+  {
+    name: 'best_departure_time',
+    description: 'Find the best time to leave within a time window. Samples departure times across the window with optimistic, best-guess and pessimistic traffic models and returns the expected travel-time curve and the best slot to leave.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        origin: { type: 'string', description: 'Starting location' },
+        destination: { type: 'string', description: 'Destination location' },
+        waypoints: { 
+          type: 'array', 
+          items: { type: 'string' },
+          description: 'Optional intermediate stops',
+          maxItems: 8
+        },
+        windowStart: { type: 'string', description: 'Earliest departure time (ISO 8601, e.g., "2025-06-03T06:00"); without an offset it is read in the origin\'s local time' },
+        windowEnd: { type: 'string', description: 'Latest departure time (ISO 8601, e.g., "2025-06-03T10:00")' },
+        intervalMinutes: { 
+          type: 'number', 
+          description: 'Minutes between sampled departure times (widened automatically for long windows)',
+          minimum: 10,
+          maximum: 180,
+          default: 30
+        },
+        options: {
+          type: 'object',
+          properties: {
+            avoidTolls: { type: 'boolean', default: false, description: 'Avoid toll roads' },
+            avoidHighways: { type: 'boolean', default: false, description: 'Avoid highways/freeways' }
+          }
+        },
+        ...localeProperties
+      },
+      required: ['origin', 'destination', 'windowStart', 'windowEnd']
+    }
+  },
+  {
+    name: 'optimize_stops',
+    description: 'Find the best order to visit a set of stops. Returns the original and optimized visiting order, the full optimized route, and the time and distance saved. Without a fixed destination the route returns to the origin.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        origin: { type: 'string', description: 'Starting location (depot, office, etc.)' },
+        stops: {
+          type: 'array',
+          items: { type: 'string' },
+          description: 'Stops to visit, in any order',
+          minItems: 2,
+          maxItems: 8
+        },
+        destination: { 
+          type: 'string', 
+          description: 'Optional fixed final destination (defaults to returning to the origin)' 
+        },
+        options: {
+          type: 'object',
+          properties: {
+            avoidTolls: { type: 'boolean', default: false, description: 'Avoid toll roads' },
+            avoidHighways: { type: 'boolean', default: false, description: 'Avoid highways/freeways' },
+            departureTime: { type: 'string', description: '"now" or ISO 8601 date-time (origin\'s local time unless an offset is given) for traffic prediction' }
+          }
+        },
+        ...localeProperties
+      },
+      required: ['origin', 'stops']
+    }
+  },
+  {
+    name: 'distance_matrix',
+    description: 'Calculate distance, duration and traffic duration between every origin and every destination in one call. Use it to find the closest technician, depot or vehicle to each job.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        origins: {
+          type: 'array',
+          items: { type: 'string' },
+          description: 'Starting locations (addresses, place names, or coordinates)',
+          minItems: 1,
+          maxItems: 25
+        },
+        destinations: {
+          type: 'array',
+          items: { type: 'string' },
+          description: 'Destination locations (addresses, place names, or coordinates)',
+          minItems: 1,
+          maxItems: 25
+        },
+        options: {
+          type: 'object',
+          properties: {
+            mode: {
+              type: 'string',
+              enum: ['driving', 'transit', 'walking', 'bicycling'],
+              default: 'driving',
+              description: 'Travel mode'
+            },
+            avoidTolls: { type: 'boolean', default: false, description: 'Avoid toll roads' },
+            avoidHighways: { type: 'boolean', default: false, description: 'Avoid highways/freeways' },
+            departureTime: { type: 'string', description: '"now" or ISO 8601 date-time (first origin\'s local time unless an offset is given) for traffic prediction' },
+            trafficModel: { 
+              type: 'string', 
+              enum: ['best_guess', 'pessimistic', 'optimistic'],
+              default: 'best_guess',
+              description: 'Traffic prediction model'
+            }
+          }
+        },
+        ...localeProperties
+      },
+      required: ['origins', 'destinations']
+    }
+  },
+  {
+    name: 'geocode_address',
+    description: 'Resolve an address or place name to coordinates, place ID and address components. Returns every candidate when the input is ambiguous, so the right one can be picked before calculating a route.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        address: { type: 'string', description: 'Address or place name to look up (e.g., "Springfield")' },
+        region: { type: 'string', description: 'Optional region bias as a ccTLD country code (e.g., "us", "uk")' },
+        ...localeProperties
+      },
+      required: ['address']
+    }
+  },
+  {
+    name: 'reverse_geocode',
+    description: 'Find the address for a pair of coordinates. Returns the formatted address, place ID, address components and every candidate address.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        latitude: { type: 'number', description: 'Latitude in decimal degrees', minimum: -90, maximum: 90 },
+        longitude: { type: 'number', description: 'Longitude in decimal degrees', minimum: -180, maximum: 180 },
+        ...localeProperties
+      },
+      required: ['latitude', 'longitude']
+    }
+  },
+  {
+    name: 'find_places',
+    description: 'Search for places such as gas stations, EV chargers, restaurants or rest areas, either near a point or along a route. Along-route results include how far each place is from the route and the extra time a detour would add.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        query: { type: 'string', description: 'What to look for (e.g., "gas station", "EV charger", "coffee")' },
+        type: { 
+          type: 'string', 
+          description: 'Optional Google place type filter (e.g., "gas_station", "electric_vehicle_charging_station", "restaurant")' 
+        },
+        near: { type: 'string', description: 'Search around this location (address, place name, or coordinates)' },
+        alongRoute: {
+          type: 'object',
+          description: 'Search along the route between two locations instead of around a point',
+          properties: {
+            origin: { type: 'string', description: 'Starting location' },
+            destination: { type: 'string', description: 'Destination location' },
+            waypoints: { 
+              type: 'array', 
+              items: { type: 'string' },
+              description: 'Optional intermediate stops',
+              maxItems: 8
+            },
+            withinKm: { 
+              type: 'number', 
+              description: 'Only search the first N km of the route (e.g., 100 for "in the next 100 km")',
+              minimum: 1
+            }
+          },
+          required: ['origin', 'destination']
+        },
+        radius: { 
+          type: 'number', 
+          description: 'Search radius in meters around the point or each route sample',
+          minimum: 100,
+          maximum: 50000,
+          default: 2000
+        },
+        openNow: { type: 'boolean', default: false, description: 'Only return places open right now' },
+        maxResults: { type: 'number', minimum: 1, maximum: 20, default: 10, description: 'Maximum places to return' },
+        ...localeProperties
+      }
+    }
+  },
+  {
+    name: 'export_route',
+    description: 'Calculate a route and export it as GeoJSON, GPX or KML for GIS tools and navigation devices. The file includes the full route geometry, stops, turn-by-turn steps and summary metadata.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        origin: { type: 'string', description: 'Starting location' },
+        destination: { type: 'string', description: 'Destination location' },
+        waypoints: { 
+          type: 'array', 
+          items: { type: 'string' },
+          description: 'Optional intermediate stops',
+          maxItems: 8
+        },
+        format: {
+          type: 'string',
+          enum: ['geojson', 'gpx', 'kml'],
+          default: 'geojson',
+          description: 'Export file format'
+        },
+        name: { type: 'string', description: 'Optional name for the exported route' },
+        options: {
+          type: 'object',
+          properties: {
+            mode: {
+              type: 'string',
+              enum: ['driving', 'transit', 'walking', 'bicycling'],
+              default: 'driving',
+              description: 'Travel mode'
+            },
+            avoidTolls: { type: 'boolean', default: false, description: 'Avoid toll roads' },
+            avoidHighways: { type: 'boolean', default: false, description: 'Avoid highways/freeways' },
+            departureTime: { type: 'string', description: '"now" or ISO 8601 date-time for traffic prediction' }
+          }
+        },
+        ...localeProperties
+      },
+      required: ['origin', 'destination']
+    }
+  },
+  {
+    name: 'route_elevation',
+    description: 'Sample elevation along a route and summarize its profile: total ascent and descent, highest and lowest points, maximum uphill and downhill grades and the steepest segments.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        origin: { type: 'string', description: 'Starting location' },
+        destination: { type: 'string', description: 'Destination location' },
+        waypoints: { 
+          type: 'array', 
+          items: { type: 'string' },
+          description: 'Optional intermediate stops',
+          maxItems: 8
+        },
+        samples: {
+          type: 'number',
+          minimum: 2,
+          maximum: 512,
+          default: 100,
+          description: 'Number of evenly spaced elevation samples along the route'
+        },
+        includeProfile: { type: 'boolean', default: true, description: 'Include every sample in the response, e.g. for charting' },
+        options: {
+          type: 'object',
+          properties: {
+            mode: {
+              type: 'string',
+              enum: ['driving', 'walking', 'bicycling'],
+              default: 'driving',
+              description: 'Travel mode'
+            },
+            avoidTolls: { type: 'boolean', default: false, description: 'Avoid toll roads' },
+            avoidHighways: { type: 'boolean', default: false, description: 'Avoid highways/freeways' }
+          }
+        },
+        ...localeProperties
+      },
+      required: ['origin', 'destination']
+    }
+  },
+  {
+    name: 'estimate_costs',
+    description: 'Calculate comprehensive trip costs including fuel or electricity, tolls, and total expenses based on vehicle specifications. For electric vehicles, also plans the charging stops needed along the route and the time they add.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        origin: { type: 'string', description: 'Starting location' },
+        destination: { type: 'string', description: 'Destination location' },
+        waypoints: { 
+          type: 'array', 
+          items: { type: 'string' },
+          description: 'Optional intermediate stops included in the trip cost',
+          maxItems: 8
+        },
+        vehicleOptions: {
+          type: 'object',
+          description: 'Vehicle specifications for cost calculation',
+          properties: {
+            vehicleType: {
+              type: 'string',
+              enum: ['fuel', 'electric'],
+              default: 'fuel',
+              description: 'Liquid fuel (petrol/diesel) or battery electric'
+            },
+            fuelEfficiency: { 
+              type: 'number', 
+              description: 'Vehicle fuel consumption in liters per 100km (e.g., 8.0)',
+              minimum: 3.0,
+              maximum: 25.0,
+              default: 8.0
+            },
+            fuelPrice: { 
+              type: 'number', 
+              description: 'Current fuel price per liter in the chosen currency (e.g., 1.50)',
+              minimum: 0,
+              default: 1.50
+            },
+            fuelEfficiencyMpg: {
+              type: 'number',
+              description: 'Fuel economy in miles per gallon, instead of fuelEfficiency (e.g., 30)',
+              minimum: 5,
+              maximum: 100
+            },
+            fuelPricePerGallon: {
+              type: 'number',
+              description: 'Fuel price per gallon in the chosen currency, instead of fuelPrice (e.g., 3.50)',
+              minimum: 0
+            },
+            gallon: {
+              type: 'string',
+              enum: ['us', 'imperial'],
+              default: 'us',
+              description: 'Gallon used by MPG and per-gallon values (UK MPG uses imperial gallons)'
+            },
+            batteryCapacity: {
+              type: 'number',
+              description: 'Electric: usable battery capacity in kWh (e.g., 60)',
+              minimum: 10,
+              maximum: 250,
+              default: EV_DEFAULTS.batteryCapacity
+            },
+            energyConsumption: {
+              type: 'number',
+              description: 'Electric: energy consumption in kWh per 100km (e.g., 18)',
+              minimum: 8,
+              maximum: 60,
+              default: EV_DEFAULTS.energyConsumption
+            },
+            startingCharge: {
+              type: 'number',
+              description: `Electric: battery charge at departure in percent, no lower than the ${EV_DEFAULTS.reserveCharge}% reserve kept for reaching a charger`,
+              minimum: EV_DEFAULTS.reserveCharge,
+              maximum: 100,
+              default: EV_DEFAULTS.startingCharge
+            },
+            homeChargingPrice: {
+              type: 'number',
+              description: 'Electric: home charging price per kWh in the chosen currency',
+              minimum: 0,
+              default: EV_DEFAULTS.homeChargingPrice
+            },
+            publicChargingPrice: {
+              type: 'number',
+              description: 'Electric: public fast charging price per kWh in the chosen currency',
+              minimum: 0,
+              default: EV_DEFAULTS.publicChargingPrice
+            },
+            chargingPower: {
+              type: 'number',
+              description: 'Electric: average public charging power in kW',
+              minimum: 3,
+              maximum: 350,
+              default: EV_DEFAULTS.chargingPower
+            },
+            includeElevation: {
+              type: 'boolean',
+              default: false,
+              description: 'Add the fuel or energy spent climbing (less what descents give back) from the route elevation profile'
+            },
+            vehicleWeight: {
+              type: 'number',
+              description: 'Loaded vehicle weight in kg, used with includeElevation (e.g., 3500 for a loaded van)',
+              minimum: 500,
+              maximum: 44000,
+              default: DEFAULT_VEHICLE_WEIGHT
+            }
+          }
+        },
+        ...localeProperties
+      },
+      required: ['origin', 'destination']
+    }
+  }
+];
+
+// Failed calls come back as a tool result flagged isError, listing each
+// problem with a code, the argument it concerns (null if none) and a message
+export function errorResult(errors) {
+  return {
+    content: [
+      {
+        type: 'text',
+        text: JSON.stringify({ success: false, errors }, null, 2)
+      }
+    ],
+    isError: true
+  };
+}
+
+// Machine-readable problems behind a failed call
+export function describeError(error, upstreamStatus = null) {
+  if (error instanceof ValidationError) {
+    return error.errors;
+  }
+  if (error instanceof BudgetExceededError) {
+    return [{ code: 'BUDGET_EXCEEDED', field: null, message: error.message, resetsAt: error.resetsAt }];
+  }
+  if (error instanceof CircuitOpenError) {
+    return [{ code: 'UPSTREAM_UNAVAILABLE', field: null, message: error.message, retryAfter: Math.ceil(error.retryAfter / 1000) }];
+  }
+  return [upstreamStatus ?
+    { code: 'UPSTREAM_ERROR', field: null, message: error.message, status: upstreamStatus } :
+    { code: 'TOOL_ERROR', field: null, message: error.message }];
+}
+
+// Check a tool's arguments against its inputSchema, then run its handler
+export async function callTool(name, args = {}) {
+  const tool = tools.find(tool => tool.name === name);
+  const errors = tool ? validateArguments(tool.inputSchema, args) : [];
+  if (errors.length > 0) {
+    throw new ValidationError(errors);
+  }
+  
+  switch (name) {
+    case 'calculate_route':
+      return handleCalculateRoute(args);
+    case 'get_route_steps':
+      return handleGetRouteSteps(args);
+    case 'compare_routes':
+      return handleCompareRoutes(args);
+    case 'get_live_traffic':
+      return handleGetLiveTraffic(args);
+    case 'best_departure_time':
+      return handleBestDepartureTime(args);
+    case 'optimize_stops':
+      return handleOptimizeStops(args);
+    case 'distance_matrix':
+      return handleDistanceMatrix(args);
+    case 'geocode_address':
+      return handleGeocodeAddress(args);
+    case 'reverse_geocode':
+      return handleReverseGeocode(args);
+    case 'find_places':
+      return handleFindPlaces(args);
+    case 'export_route':
+      return handleExportRoute(args);
+    case 'route_elevation':
+      return handleRouteElevation(args);
+    case 'estimate_costs':
+      return handleEstimateCosts(args);
+    default:
+      throw new Error(`Unknown tool: ${name}`);
+  }
+}
+
+// Enhanced tool implementation functions
+// How the recommended departure of an arrive-by route was worked out
+const ARRIVAL_NOTES = {
+  driving: 'Departure allows for pessimistic traffic',
+  transit: 'Departure taken from the planned schedule',
+  walking: 'Departure based on the usual walking time, which traffic does not change',
+  bicycling: 'Departure based on the usual cycling time, which traffic does not change'
+};
+
+async function handleCalculateRoute(args) {
+  const { origin, destination, waypoints = [], options = {}, units, language } = args;
+  const fmt = createFormatter(args);
+  checkDateTime(options.departureTime, 'options.departureTime');
+  checkDateTime(options.arrivalTime, 'options.arrivalTime');
+  
+  logger.info('Calculating route', { origin, destination, waypoints: waypoints.length });
+  
+  const routeParams = {
+    origin: origin.trim(),
+    destination: destination.trim(),
+    waypoints: waypoints.map(w => w.trim()).filter(w => w),
+    ...options,
+    units,
+    language
+  };
+  
+  // Arrive-by requests work back to a recommended departure time
+  const arrivalPlan = options.arrivalTime ? await googleMaps.planArrival(routeParams) : null;
+  const route = arrivalPlan ? arrivalPlan.route : await googleMaps.calculateRoute(routeParams);
+  const routeId = routeStore.save(route, { units: fmt.units });
+  const { steps, page } = stepsPage(route, { limit: INLINE_STEPS }, fmt);
+
+  const result = {
+    success: true,
+    route: {
+      routeId,
+      summary: route.summary,
+      distance: {
+        meters: route.distance,
+        kilometers: (route.distance / 1000).toFixed(1),
+        ...(fmt.imperial && { miles: metersToMiles(route.distance).toFixed(1) }),
+        text: fmt.distance(route.distance)
+      },
+      duration: {
+        seconds: route.duration,
+        text: formatDuration(route.duration)
+      },
+      durationInTraffic: {
+        seconds: route.durationInTraffic,
+        text: formatDuration(route.durationInTraffic)
+      },
+      trafficDelay: {
+        seconds: route.durationInTraffic - route.duration,
+        text: formatDuration(route.durationInTraffic - route.duration)
+      },
+      legs: route.legs.map(leg => formatLeg(leg, fmt)),
+      steps,
+      stepsPage: page,
+      transit: route.transit,
+      warnings: route.warnings,
+      polyline: route.polyline
+    },
+    ...(arrivalPlan && {
+      arriveBy: {
+        arrivalTime: arrivalPlan.arrivalTime,
+        recommendedDeparture: arrivalPlan.recommendedDeparture,
+        timeZone: arrivalPlan.timeZone,
+        plannedDuration: {
+          seconds: route.durationInTraffic,
+          text: formatDuration(route.durationInTraffic)
+        },
+        trafficModel: arrivalPlan.trafficModel,
+        note: arrivalPlan.tooLate ?
+          'The recommended departure has already passed; leave now and expect to arrive late' :
+          ARRIVAL_NOTES[route.mode]
+      }
+    }),
+    metadata: {
+      timestamp: new Date().toISOString(),
+      mode: route.mode,
+      trafficModel: options.trafficModel || 'best_guess',
+      units: fmt.units,
+      language: language || null,
+      requestedWaypoints: waypoints.length
+    }
+  };
+
+  return {
+    content: [
+      {
+        type: 'text',
+        text: JSON.stringify(result, null, 2)
+      }
+    ]
+  };
+}
+
+async function handleGetRouteSteps(args) {
+  const { routeId, offset = 0, limit = 25, includePath = false } = args;
+  
+  const stored = routeStore.get(routeId.trim());
+  if (!stored) {
+    throw invalidArgument('routeId', 'is unknown or has expired; calculate the route again', 'NOT_FOUND');
+  }
+  // Distances follow the units the route was calculated with unless asked otherwise
+  const fmt = createFormatter({ units: args.units || stored.preferences.units });
+  const { route } = stored;
+  
+  logger.info('Paging route steps', { routeId, offset, limit });
+  
+  const { steps, page } = stepsPage(route, { offset, limit, includePath }, fmt);
+  
+  const result = {
+    success: true,
+    routeId,
+    summary: route.summary,
+    distance: {
+      meters: route.distance,
+      text: fmt.distance(route.distance)
+    },
+    duration: {
+      seconds: route.duration,
+      text: formatDuration(route.duration)
+    },
+    steps,
+    page,
+    metadata: {
+      timestamp: new Date().toISOString(),
+      calculatedAt: stored.createdAt,
+      mode: route.mode,
+      units: fmt.units
+    }
+  };
+  
+  return {
+    content: [
+      {
+        type: 'text',
+        text: JSON.stringify(result, null, 2)
+      }
+    ]
+  };
+}
+
+async function handleCompareRoutes(args) {
+  const { origin, destination, waypoints = [], mode = 'driving', compareOptions = [], units, language } = args;
+  const fmt = createFormatter(args);
+  
+  logger.info('Comparing routes', { origin, destination });
+  
+  const routePromises = [];
+  const routeLabels = [];
+  
+  // Default route
+  routePromises.push(googleMaps.calculateRoute({
+    origin,
+    destination,
+    waypoints,
+    mode,
+    units,
+    language,
+    alternatives: true
+  }));
+  routeLabels.push('Default Route');
+  
+  // Custom option routes
+  for (const [index, option] of compareOptions.entries()) {
+    routePromises.push(googleMaps.calculateRoute({
+      origin,
+      destination,
+      waypoints,
+      mode,
+      units,
+      language,
+      ...option
+    }));
+    routeLabels.push(option.name || `Option ${index + 1}`);
+  }
+  
+  // One failing option set shouldn't sink the whole comparison
+  const outcomes = await Promise.allSettled(routePromises);
+  const failedOptions = [];
+  outcomes.forEach((outcome, index) => {
+    if (outcome.status === 'rejected') {
+      logger.warn('Route option failed', { option: routeLabels[index], error: outcome.reason });
+      failedOptions.push({
+        label: routeLabels[index],
+        options: index === 0 ? 'default' : compareOptions[index - 1],
+        error: outcome.reason.message
+      });
+    }
+  });
+  
+  if (failedOptions.length === outcomes.length) {
+    // A budget or circuit breaker refusal is what the caller needs to know
+    const refusal = outcomes.map(outcome => outcome.reason)
+      .find(reason => reason instanceof BudgetExceededError || reason instanceof CircuitOpenError);
+    if (refusal) throw refusal;
+    throw new Error(`All route options failed: ${failedOptions.map(failed => `${failed.label}: ${failed.error}`).join('; ')}`);
+  }
+  
+  // Every alternative Google returns becomes its own candidate; identical
+  // routes (same geometry and traffic model, so the same timings) from
+  // different option sets are merged
+  const candidates = [];
+  outcomes.forEach((outcome, index) => {
+    if (outcome.status === 'rejected') return;
+    const { alternatives = [], ...primary } = outcome.value;
+    const options = index === 0 ? 'default' : compareOptions[index - 1];
+    const trafficModel = (index > 0 && compareOptions[index - 1].trafficModel) || 'best_guess';
+    [primary, ...alternatives].forEach((route, altIndex) => {
+      const label = altIndex === 0 ? routeLabels[index] : `${routeLabels[index]} (alternative ${altIndex})`;
+      const existing = candidates.find(candidate =>
+        candidate.route.polyline === route.polyline &&
+        candidate.route.mode === route.mode &&
+        candidate.trafficModel === trafficModel);
+      if (existing) {
+        existing.labels.push(label);
+        existing.options.push(options);
+      } else {
+        candidates.push({ route, trafficModel, labels: [label], options: [options] });
+      }
+    });
+  });
+  
+  const candidateRoutes = candidates.map(candidate => candidate.route);
+  const candidateLabels = candidates.map(candidate => candidate.labels.join(' / '));
+  const tollEstimates = candidateRoutes.map(route => tollTable.estimate(route, fmt.currency));
+  
+  const comparison = {
+    routes: candidates.map(({ route, labels, options }, index) => ({
+      id: index,
+      label: candidateLabels[index],
+      mergedFrom: labels.length > 1 ? labels : undefined,
+      mode: route.mode,
+      summary: route.summary,
+      distance: {
+        meters: route.distance,
+        text: fmt.distance(route.distance)
+      },
+      duration: {
+        seconds: route.duration,
+        text: formatDuration(route.duration)
+      },
+      durationInTraffic: {
+        seconds: route.durationInTraffic,
+        text: formatDuration(route.durationInTraffic)
+      },
+      trafficDelay: {
+        seconds: route.durationInTraffic - route.duration,
+        text: formatDuration(route.durationInTraffic - route.duration)
+      },
+      legs: route.legs.map(leg => formatLeg(leg, fmt)),
+      transit: route.transit,
+      tolls: {
+        hasTolls: tollEstimates[index].hasTolls,
+        amount: tollEstimates[index].amount,
+        currency: tollEstimates[index].currency,
+        text: fmt.money(tollEstimates[index].amount),
+        note: getTollNote(tollEstimates[index])
+      },
+      warnings: route.warnings,
+      polyline: route.polyline,
+      options: options.length > 1 ? options : options[0]
+    })),
+    recommendation: findBestRoute(candidateRoutes, candidateLabels),
+    summary: {
+      fastestRoute: findFastestRoute(candidateRoutes, candidateLabels),
+      shortestRoute: findShortestRoute(candidateRoutes, candidateLabels, fmt),
+      tollComparison: compareTollOptions(candidateRoutes, candidateLabels, tollEstimates, fmt),
+      totalRoutesCompared: candidates.length,
+      optionSetsCompared: outcomes.length - failedOptions.length
+    },
+    ...(failedOptions.length > 0 && { failedOptions })
+  };
+  
+  const result = {
+    success: true,
+    partial: failedOptions.length > 0,
+    comparison,
+    metadata: {
+      timestamp: new Date().toISOString(),
+      routesCompared: candidates.length,
+      units: fmt.units,
+      currency: fmt.currency,
+      origin,
+      destination
+    }
+  };
+
+  return {
+    content: [
+      {
+        type: 'text',
+        text: JSON.stringify(result, null, 2)
+      }
+    ]
+  };
+}
+
+async function handleGetLiveTraffic(args) {
+  const { origin, destination, departureTime = 'now', mode = 'driving', units, language } = args;
+  const fmt = createFormatter(args);
+  checkDateTime(departureTime, 'departureTime');
+  
+  logger.info('Getting traffic info', { origin, destination, departureTime, mode });
+  
+  const trafficData = await googleMaps.getTrafficInfo({
+    origin,
+    destination,
+    departureTime,
+    mode,
+    units,
+    language
+  });
+  
+  const trafficDelay = trafficData.durationInTraffic - trafficData.duration;
+  
+  const result = {
+    success: true,
+    traffic: {
+      currentDuration: {
+        seconds: trafficData.duration,
+        text: formatDuration(trafficData.duration)
+      },
+      durationInTraffic: {
+        seconds: trafficData.durationInTraffic,
+        text: formatDuration(trafficData.durationInTraffic)
+      },
+      trafficDelay: {
+        seconds: trafficDelay,
+        text: formatDuration(trafficDelay)
+      },
+      trafficCondition: mode === 'driving' ? getTrafficCondition(trafficData) : 'not applicable',
+      route: {
+        summary: trafficData.route?.summary || trafficData.summary,
+        distance: fmt.distance(trafficData.distance)
+      },
+      transit: trafficData.transit
+    },
+    metadata: {
+      timestamp: new Date().toISOString(),
+      departureTime,
+      mode,
+      origin,
+      destination
+    }
+  };
+
+  return {
+    content: [
+      {
+        type: 'text',
+        text: JSON.stringify(result, null, 2)
+      }
+    ]
+  };
+}
+
+// Each sampled departure costs one Directions call per traffic model
+const MAX_DEPARTURE_SAMPLES = 12;
+const TRAFFIC_MODELS = ['optimistic', 'best_guess', 'pessimistic'];
+
+async function handleBestDepartureTime(args) {
+  const { origin, destination, waypoints = [], windowStart, windowEnd, intervalMinutes = 30, options = {}, units, language } = args;
+  checkDateTime(windowStart, 'windowStart');
+  checkDateTime(windowEnd, 'windowEnd');
+  
+  // Window times are epoch seconds; offset-less input is read in the origin's time zone
+  const start = (await googleMaps.resolveTime(windowStart, origin.trim())).value;
+  const end = (await googleMaps.resolveTime(windowEnd, origin.trim())).value;
+  const now = Math.floor(Date.now() / 1000);
+  if (start === 'now' || end === 'now') {
+    throw invalidArgument(start === 'now' ? 'windowStart' : 'windowEnd', 'must be a specific time, not "now"');
+  }
+  if (end <= start) {
+    throw invalidArgument('windowEnd', 'must be after windowStart');
+  }
+  if (end <= now) {
+    throw invalidArgument('windowEnd', 'is in the past');
+  }
+  const zone = await googleMaps.timeZoneAt(origin.trim(), start);
+  
+  // Traffic predictions only exist for the future; widen the step for long windows
+  const first = Math.max(start, now);
+  const step = Math.max(intervalMinutes * 60, (end - first) / (MAX_DEPARTURE_SAMPLES - 1));
+  const departures = [];
+  for (let time = first; time <= end && departures.length < MAX_DEPARTURE_SAMPLES; time += step) {
+    departures.push(Math.floor(time));
+  }
+  
+  logger.info('Finding best departure', { origin, destination, samples: departures.length });
+  
+  const curve = [];
+  for (const departure of departures) {
+    const routes = await Promise.all(TRAFFIC_MODELS.map(trafficModel => googleMaps.calculateRoute({
+      origin: origin.trim(),
+      destination: destination.trim(),
+      waypoints,
+      ...options,
+      units,
+      language,
+      departureTime: departure,
+      trafficModel,
+      alternatives: false
+    })));
+    
+    const [optimistic, bestGuess, pessimistic] = routes.map(route => route.durationInTraffic);
+    curve.push({
+      departureTime: formatLocalTime(departure, zone.offset),
+      arrivalTime: formatLocalTime(departure + bestGuess, zone.offset),
+      optimistic: { seconds: optimistic, text: formatDuration(optimistic) },
+      bestGuess: { seconds: bestGuess, text: formatDuration(bestGuess) },
+      pessimistic: { seconds: pessimistic, text: formatDuration(pessimistic) },
+      summary: routes[1].summary
+    });
+  }
+  
+  const pick = (model, better) => curve.reduce((best, sample) =>
+    better(sample[model].seconds, best[model].seconds) ? sample : best);
+  const fastest = pick('bestGuess', (a, b) => a < b);
+  const slowest = pick('bestGuess', (a, b) => a > b);
+  const mostReliable = pick('pessimistic', (a, b) => a < b);
+  const timeSaved = slowest.bestGuess.seconds - fastest.bestGuess.seconds;
+  
+  const result = {
+    success: true,
+    bestDeparture: {
+      departureTime: fastest.departureTime,
+      arrivalTime: fastest.arrivalTime,
+      expectedDuration: fastest.bestGuess,
+      worstCaseDuration: fastest.pessimistic,
+      reason: 'Shortest expected (best guess) travel time in the window'
+    },
+    mostReliableDeparture: {
+      departureTime: mostReliable.departureTime,
+      worstCaseDuration: mostReliable.pessimistic,
+      reason: 'Shortest pessimistic travel time in the window'
+    },
+    worstDeparture: {
+      departureTime: slowest.departureTime,
+      expectedDuration: slowest.bestGuess
+    },
+    timeSaved: {
+      seconds: timeSaved,
+      text: formatDuration(timeSaved)
+    },
+    curve,
+    metadata: {
+      timestamp: new Date().toISOString(),
+      origin,
+      destination,
+      window: { start: formatLocalTime(start, zone.offset), end: formatLocalTime(end, zone.offset) },
+      timeZone: zone.timeZoneId,
+      samples: curve.length,
+      intervalMinutes: Math.round(step / 60),
+      trafficModels: TRAFFIC_MODELS
+    }
+  };
+
+  return {
+    content: [
+      {
+        type: 'text',
+        text: JSON.stringify(result, null, 2)
+      }
+    ]
+  };
+}
+
+async function handleOptimizeStops(args) {
+  const { origin, stops = [], destination, options = {}, units, language } = args;
+  const fmt = createFormatter(args);
+  
+  const cleanStops = stops.map(s => s.trim()).filter(s => s);
+  if (cleanStops.length < 2) {
+    throw invalidArgument('stops', 'must have at least 2 non-empty stops', 'TOO_FEW_ITEMS');
+  }
+  checkDateTime(options.departureTime, 'options.departureTime');
+  
+  const finalDestination = destination?.trim() || origin.trim();
+  
+  logger.info('Optimizing stops', { origin, destination: finalDestination, stops: cleanStops.length });
+  
+  const routeParams = {
+    origin: origin.trim(),
+    destination: finalDestination,
+    waypoints: cleanStops,
+    ...options,
+    units,
+    language,
+    alternatives: false
+  };
+  
+  const [originalRoute, optimizedRoute] = await Promise.all([
+    googleMaps.calculateRoute(routeParams),
+    googleMaps.calculateRoute({ ...routeParams, optimizeWaypoints: true })
+  ]);
+  
+  const order = optimizedRoute.waypointOrder.length === cleanStops.length ?
+    optimizedRoute.waypointOrder : cleanStops.map((_, index) => index);
+  
+  const distanceSaved = originalRoute.distance - optimizedRoute.distance;
+  const timeSaved = originalRoute.durationInTraffic - optimizedRoute.durationInTraffic;
+  const routeId = routeStore.save(optimizedRoute, { units: fmt.units });
+  const { steps, page } = stepsPage(optimizedRoute, { limit: INLINE_STEPS }, fmt);
+  
+  const result = {
+    success: true,
+    optimization: {
+      originalOrder: cleanStops,
+      optimizedOrder: order.map(index => cleanStops[index]),
+      optimizedIndexes: order,
+      orderChanged: order.some((stopIndex, position) => stopIndex !== position),
+      savings: {
+        distance: {
+          meters: distanceSaved,
+          text: fmt.distance(distanceSaved)
+        },
+        time: {
+          seconds: timeSaved,
+          text: formatDuration(timeSaved)
+        }
+      },
+      original: {
+        distance: fmt.distance(originalRoute.distance),
+        durationInTraffic: formatDuration(originalRoute.durationInTraffic)
+      }
+    },
+    route: {
+      routeId,
+      summary: optimizedRoute.summary,
+      distance: {
+        meters: optimizedRoute.distance,
+        text: fmt.distance(optimizedRoute.distance)
+      },
+      duration: {
+        seconds: optimizedRoute.duration,
+        text: formatDuration(optimizedRoute.duration)
+      },
+      durationInTraffic: {
+        seconds: optimizedRoute.durationInTraffic,
+        text: formatDuration(optimizedRoute.durationInTraffic)
+      },
+      legs: optimizedRoute.legs.map(leg => formatLeg(leg, fmt)),
+      steps,
+      stepsPage: page,
+      warnings: optimizedRoute.warnings,
+      polyline: optimizedRoute.polyline
+    },
+    metadata: {
+      timestamp: new Date().toISOString(),
+      origin,
+      destination: finalDestination,
+      roundTrip: !destination?.trim(),
+      stopsOptimized: cleanStops.length
+    }
+  };
+
+  return {
+    content: [
+      {
+        type: 'text',
+        text: JSON.stringify(result, null, 2)
+      }
+    ]
+  };
+}
+
+async function handleDistanceMatrix(args) {
+  const { origins = [], destinations = [], options = {}, units, language } = args;
+  const fmt = createFormatter(args);
+  
+  const cleanOrigins = origins.map(o => o.trim()).filter(o => o);
+  const cleanDestinations = destinations.map(d => d.trim()).filter(d => d);
+  if (cleanOrigins.length === 0) {
+    throw invalidArgument('origins', 'must have at least 1 non-empty location', 'TOO_FEW_ITEMS');
+  }
+  if (cleanDestinations.length === 0) {
+    throw invalidArgument('destinations', 'must have at least 1 non-empty location', 'TOO_FEW_ITEMS');
+  }
+  checkDateTime(options.departureTime, 'options.departureTime');
+  
+  logger.info('Calculating distance matrix', { origins: cleanOrigins.length, destinations: cleanDestinations.length });
+  
+  const matrix = await googleMaps.distanceMatrix({
+    origins: cleanOrigins,
+    destinations: cleanDestinations,
+    ...options,
+    units,
+    language
+  });
+  
+  const rows = matrix.rows.map((row, i) => ({
+    origin: matrix.origins[i],
+    elements: row.map((element, j) => ({
+      destination: matrix.destinations[j],
+      status: element.status,
+      ...(element.status === 'OK' && {
+        distance: {
+          meters: element.distance,
+          text: fmt.distance(element.distance)
+        },
+        duration: {
+          seconds: element.duration,
+          text: formatDuration(element.duration)
+        },
+        durationInTraffic: {
+          seconds: element.durationInTraffic,
+          text: formatDuration(element.durationInTraffic)
+        }
+      })
+    }))
+  }));
+  
+  // Closest origin to each destination, by travel time in traffic
+  const closestOrigins = matrix.destinations.map((destination, j) => {
+    const best = matrix.rows.reduce((best, row, i) =>
+      row[j].status === 'OK' && (!best || row[j].durationInTraffic < best.element.durationInTraffic) ?
+      { element: row[j], index: i } : best
+    , null);
+    
+    return {
+      destination,
+      closestOrigin: best ? matrix.origins[best.index] : null,
+      originIndex: best ? best.index : null,
+      durationInTraffic: best ? formatDuration(best.element.durationInTraffic) : null,
+      distance: best ? fmt.distance(best.element.distance) : null
+    };
+  });
+  
+  const result = {
+    success: true,
+    matrix: {
+      origins: matrix.origins,
+      destinations: matrix.destinations,
+      rows
+    },
+    closestOrigins,
+    metadata: {
+      timestamp: new Date().toISOString(),
+      mode: matrix.mode,
+      elements: cleanOrigins.length * cleanDestinations.length,
+      upstreamRequests: matrix.requests
+    }
+  };
+
+  return {
+    content: [
+      {
+        type: 'text',
+        text: JSON.stringify(result, null, 2)
+      }
+    ]
+  };
+}
+
+async function handleGeocodeAddress(args) {
+  const { address, region, language } = args;
+  
+  logger.info('Geocoding address', { address });
+  
+  const geocoded = await googleMaps.geocode(address.trim(), { region, language });
+  
+  const result = {
+    success: true,
+    location: formatGeocodeCandidate(geocoded),
+    ambiguous: geocoded.candidates.length > 1,
+    candidates: geocoded.candidates.map(formatGeocodeCandidate),
+    metadata: {
+      timestamp: new Date().toISOString(),
+      query: address,
+      region: region || null,
+      candidateCount: geocoded.candidates.length
+    }
+  };
+
+  return {
+    content: [
+      {
+        type: 'text',
+        text: JSON.stringify(result, null, 2)
+      }
+    ]
+  };
+}
+
+async function handleReverseGeocode(args) {
+  const { latitude, longitude, language } = args;
+  
+  logger.info('Reverse geocoding', { latitude, longitude });
+  
+  const geocoded = await googleMaps.reverseGeocode({ latitude, longitude, language });
+  
+  const result = {
+    success: true,
+    location: formatGeocodeCandidate(geocoded),
+    candidates: geocoded.candidates.map(formatGeocodeCandidate),
+    metadata: {
+      timestamp: new Date().toISOString(),
+      query: { latitude, longitude },
+      candidateCount: geocoded.candidates.length
+    }
+  };
+
+  return {
+    content: [
+      {
+        type: 'text',
+        text: JSON.stringify(result, null, 2)
+      }
+    ]
+  };
+}
+
+// Along-route searches sample at most this many points to bound Places API calls
+const MAX_ROUTE_SEARCH_POINTS = 8;
+
+async function handleFindPlaces(args) {
+  const { query, type, near, alongRoute, radius = 2000, openNow = false, maxResults = 10, units, language } = args;
+  const fmt = createFormatter(args);
+  
+  if (!query?.trim() && !type) {
+    throw invalidArgument('query', 'is required unless a place type is given', 'REQUIRED');
+  }
+  if (!near?.trim() && !alongRoute) {
+    throw invalidArgument('near', 'is required unless alongRoute is given', 'REQUIRED');
+  }
+  
+  const search = { keyword: query?.trim(), type, radius, openNow, language };
+  let places;
+  let searchArea;
+  
+  if (alongRoute) {
+    const { origin, destination, waypoints = [], withinKm } = alongRoute;
+    
+    logger.info('Finding places along route', { query, type, origin, destination });
+    
+    const route = await googleMaps.calculateRoute({
+      origin: origin.trim(),
+      destination: destination.trim(),
+      waypoints,
+      units,
+      language,
+      alternatives: false
+    });
+    const path = decodePolyline(route.polyline);
+    const searchDistance = Math.min(route.distance, withinKm ? withinKm * 1000 : Infinity);
+    
+    // Space sample points so their search circles cover the stretch without overlapping too much
+    const interval = Math.max(radius * 2, searchDistance / MAX_ROUTE_SEARCH_POINTS);
+    const samples = samplePath(path, interval, searchDistance).slice(0, MAX_ROUTE_SEARCH_POINTS);
+    
+    const found = new Map();
+    for (const sample of samples) {
+      const results = await googleMaps.searchPlaces({ ...search, location: { lat: sample.lat, lng: sample.lng } });
+      for (const place of results) {
+        if (!found.has(place.placeId)) found.set(place.placeId, place);
+      }
+    }
+    
+    places = Array.from(found.values())
+      .map(place => {
+        const nearest = nearestPointOnPath(path, place.location);
+        return { ...place, distanceFromRoute: nearest.distance, distanceAlongRoute: nearest.distanceAlong, routePoint: nearest.point };
+      })
+      .filter(place => place.distanceAlongRoute <= searchDistance + radius)
+      .sort((a, b) => a.distanceAlongRoute - b.distanceAlongRoute)
+      .slice(0, maxResults);
+    
+    // Estimate the detour as a round trip from the closest point on the route
+    await Promise.all(places.map(async place => {
+      try {
+        const matrix = await googleMaps.distanceMatrix({
+          origins: [`${place.routePoint.lat},${place.routePoint.lng}`],
+          destinations: [`${place.location.lat},${place.location.lng}`]
+        });
+        const element = matrix.rows[0][0];
+        if (element.status === 'OK') {
+          place.detour = { seconds: element.durationInTraffic * 2, meters: element.distance * 2 };
+        }
+      } catch (error) {
+        logger.warn('Detour estimate failed', { place: place.name, error });
+      }
+    }));
+    
+    searchArea = {
+      type: 'route',
+      origin,
+      destination,
+      routeDistance: fmt.distance(route.distance),
+      searchedDistance: fmt.distance(searchDistance),
+      samplePoints: samples.length
+    };
+  } else {
+    logger.info('Finding places near a point', { query, type, near });
+    
+    const center = parseLatLng(near) || (await googleMaps.geocode(near.trim(), { language })).location;
+    const results = await googleMaps.searchPlaces({ ...search, location: center });
+    
+    places = results
+      .map(place => ({ ...place, distanceFromPoint: haversineDistance(center, place.location) }))
+      .sort((a, b) => a.distanceFromPoint - b.distanceFromPoint)
+      .slice(0, maxResults);
+    
+    searchArea = {
+      type: 'point',
+      near,
+      center
+    };
+  }
+  
+  const result = {
+    success: true,
+    places: places.map(place => ({
+      name: place.name,
+      address: place.address,
+      location: place.location,
+      placeId: place.placeId,
+      rating: place.rating,
+      userRatingsTotal: place.userRatingsTotal,
+      openNow: place.openNow,
+      types: place.types,
+      ...(place.distanceFromPoint !== undefined && {
+        distance: {
+          meters: Math.round(place.distanceFromPoint),
+          text: fmt.distance(place.distanceFromPoint)
+        }
+      }),
+      ...(place.distanceFromRoute !== undefined && {
+        distanceFromRoute: {
+          meters: Math.round(place.distanceFromRoute),
+          text: fmt.distance(place.distanceFromRoute)
+        },
+        distanceAlongRoute: {
+          meters: Math.round(place.distanceAlongRoute),
+          text: fmt.distance(place.distanceAlongRoute)
+        },
+        detour: place.detour ? {
+          seconds: place.detour.seconds,
+          text: formatDuration(place.detour.seconds),
+          distance: fmt.distance(place.detour.meters),
+          note: 'Estimated as a round trip from the nearest point on the route'
+        } : null
+      })
+    })),
+    searchArea,
+    metadata: {
+      timestamp: new Date().toISOString(),
+      query: query || null,
+      type: type || null,
+      radius,
+      placesFound: places.length
+    }
+  };
+
+  return {
+    content: [
+      {
+        type: 'text',
+        text: JSON.stringify(result, null, 2)
+      }
+    ]
+  };
+}
+
+async function handleExportRoute(args) {
+  const { origin, destination, waypoints = [], format = 'geojson', name, options = {}, units, language } = args;
+  const fmt = createFormatter(args);
+  checkDateTime(options.departureTime, 'options.departureTime');
+  
+  logger.info('Exporting route', { format, origin, destination });
+  
+  const route = await googleMaps.calculateRoute({
+    origin: origin.trim(),
+    destination: destination.trim(),
+    waypoints: waypoints.map(w => w.trim()).filter(w => w),
+    ...options,
+    units,
+    language,
+    alternatives: false
+  });
+  
+  const routeName = name?.trim() || `${origin.trim()} to ${destination.trim()}`;
+  const data = exportRoute(route, format, {
+    name: routeName,
+    timestamp: new Date().toISOString()
+  });
+  
+  const result = {
+    success: true,
+    export: {
+      format,
+      mimeType: EXPORT_FORMATS[format].mimeType,
+      fileName: `${routeName.replace(/[^a-z0-9]+/gi, '-').replace(/^-|-$/g, '').toLowerCase() || 'route'}.${EXPORT_FORMATS[format].extension}`,
+      bytes: Buffer.byteLength(data)
+    },
+    route: {
+      summary: route.summary,
+      distance: fmt.distance(route.distance),
+      duration: formatDuration(route.durationInTraffic),
+      stops: route.legs.length + 1,
+      steps: route.steps.length
+    },
+    metadata: {
+      timestamp: new Date().toISOString(),
+      origin,
+      destination
+    }
+  };
+
+  // The exported file follows the summary as its own content block
+  return {
+    content: [
+      {
+        type: 'text',
+        text: JSON.stringify(result, null, 2)
+      },
+      {
+        type: 'text',
+        text: data
+      }
+    ]
+  };
+}
+
+async function handleRouteElevation(args) {
+  const { origin, destination, waypoints = [], samples = 100, includeProfile = true, options = {}, units, language } = args;
+  const fmt = createFormatter(args);
+  
+  logger.info('Sampling elevation along route', { origin, destination, samples });
+  
+  const route = await googleMaps.calculateRoute({
+    origin: origin.trim(),
+    destination: destination.trim(),
+    waypoints: waypoints.map(w => w.trim()).filter(w => w),
+    ...options,
+    units,
+    language,
+    alternatives: false
+  });
+  const elevation = analyzeElevation(await googleMaps.getElevationAlongPath(route.polyline, samples));
+  
+  const result = {
+    success: true,
+    elevation: {
+      totalAscent: fmt.height(elevation.totalAscent),
+      totalDescent: fmt.height(elevation.totalDescent),
+      totalAscentMeters: Math.round(elevation.totalAscent),
+      totalDescentMeters: Math.round(elevation.totalDescent),
+      highest: fmt.height(elevation.maxElevation),
+      lowest: fmt.height(elevation.minElevation),
+      start: fmt.height(elevation.startElevation),
+      end: fmt.height(elevation.endElevation),
+      maxUphillGrade: `${elevation.maxUphillGrade.toFixed(1)}%`,
+      maxDownhillGrade: `${elevation.maxDownhillGrade.toFixed(1)}%`
+    },
+    steepestSegments: elevation.steepestSegments.map((segment, index) => ({
+      rank: index + 1,
+      grade: `${segment.grade.toFixed(1)}%`,
+      direction: segment.rise >= 0 ? 'uphill' : 'downhill',
+      startsAt: fmt.distance(segment.startDistance),
+      length: fmt.distance(segment.length),
+      rise: fmt.height(segment.rise),
+      start: segment.start,
+      end: segment.end
+    })),
+    ...(includeProfile && {
+      profile: elevation.profile.map(point => ({
+        distanceMeters: Math.round(point.distanceAlong),
+        elevationMeters: Math.round(point.elevation * 10) / 10,
+        location: point.location
+      }))
+    }),
+    route: {
+      summary: route.summary,
+      distance: fmt.distance(route.distance),
+      duration: formatDuration(route.duration),
+      stops: route.legs.length + 1
+    },
+    metadata: {
+      timestamp: new Date().toISOString(),
+      units: fmt.units,
+      samples: elevation.profile.length,
+      note: 'Grades are averaged between samples; more samples reveal shorter, steeper pitches'
+    }
+  };
+
+  return {
+    content: [
+      {
+        type: 'text',
+        text: JSON.stringify(result, null, 2)
+      }
+    ]
+  };
+}
+
+async function handleEstimateCosts(args) {
+  const { origin, destination, waypoints = [], vehicleOptions = {}, units, language } = args;
+  const fmt = createFormatter(args);
+  
+  // The default prices are US dollar amounts, meaningless in other currencies
+  if (fmt.currency !== 'USD') {
+    const required = vehicleOptions.vehicleType === 'electric' ?
+      ['homeChargingPrice', 'publicChargingPrice'].filter(key => vehicleOptions[key] === undefined) :
+      vehicleOptions.fuelPrice === undefined && vehicleOptions.fuelPricePerGallon === undefined ? ['fuelPrice'] : [];
+    if (required.length > 0) {
+      throw new ValidationError(required.map(key => ({
+        code: 'REQUIRED',
+        field: `vehicleOptions.${key}`,
+        message: `is required when currency is ${fmt.currency}, since the default is in USD`
+      })));
+    }
+  }
+  
+  logger.info('Estimating costs', { origin, destination, vehicleType: vehicleOptions.vehicleType || 'fuel' });
+  
+  const route = await googleMaps.calculateRoute({ origin, destination, waypoints, units, language });
+  
+  const distanceKm = route.distance / 1000;
+  const tolls = tollTable.estimate(route, fmt.currency);
+  const tollCost = tolls.amount;
+  
+  const tollSummary = {
+    amount: Math.round(tollCost * 100) / 100,
+    currency: fmt.currency,
+    text: fmt.money(tollCost),
+    hasTolls: tolls.hasTolls,
+    breakdown: tolls.items.map(item => ({
+      ...item,
+      text: formatMoney(item.amount, item.currency, fmt.language)
+    })),
+    ...(Object.keys(tolls.amountsByCurrency).some(currency => currency !== fmt.currency) && {
+      otherCurrencies: tolls.amountsByCurrency
+    }),
+    note: getTollNote(tolls)
+  };
+  const tollAssumption = tollTable.size > 0 ?
+    `Priced from toll table (${tollTable.size} plazas and segments)` :
+    'No toll table configured; toll roads are detected but not priced';
+  
+  // Climbing costs extra fuel or energy that flat L/100km figures leave out
+  const vehicleWeight = vehicleOptions.vehicleWeight || DEFAULT_VEHICLE_WEIGHT;
+  const elevation = vehicleOptions.includeElevation ?
+    analyzeElevation(await googleMaps.getElevationAlongPath(route.polyline, 100)) :
+    null;
+  const elevationSummary = elevation && {
+    totalAscent: fmt.height(elevation.totalAscent),
+    totalDescent: fmt.height(elevation.totalDescent),
+    maxUphillGrade: `${elevation.maxUphillGrade.toFixed(1)}%`,
+    vehicleWeight: `${vehicleWeight} kg`
+  };
+  
+  let result;
+  if (vehicleOptions.vehicleType === 'electric') {
+    const baseConsumption = vehicleOptions.energyConsumption || EV_DEFAULTS.energyConsumption;
+    const climbEnergy = elevation ? extraEnergyForElevation(elevation, vehicleWeight) : 0;
+    const energyConsumption = distanceKm > 0 ?
+      Math.max(0, baseConsumption + climbEnergy / distanceKm * 100) :
+      baseConsumption;
+    const plan = planCharging({
+      distance: route.distance,
+      polyline: route.polyline,
+      vehicle: { ...vehicleOptions, energyConsumption }
+    });
+    const energyCost = plan.homeCost + plan.publicCost;
+    const chargingSeconds = plan.chargingMinutes * 60;
+    
+    result = {
+      success: true,
+      costs: {
+        energy: {
+          amount: Math.round(energyCost * 100) / 100,
+          currency: fmt.currency,
+          text: fmt.money(energyCost),
+          home: {
+            kWh: Math.round(plan.homeEnergy * 10) / 10,
+            amount: Math.round(plan.homeCost * 100) / 100,
+            text: fmt.money(plan.homeCost)
+          },
+          public: {
+            kWh: Math.round(plan.publicEnergy * 10) / 10,
+            amount: Math.round(plan.publicCost * 100) / 100,
+            text: fmt.money(plan.publicCost)
+          }
+        },
+        tolls: tollSummary,
+        total: {
+          amount: Math.round((energyCost + tollCost) * 100) / 100,
+          currency: fmt.currency,
+          text: fmt.money(energyCost + tollCost)
+        },
+        breakdown: {
+          distance: fmt.distance(route.distance),
+          energyNeeded: `${plan.energyNeeded.toFixed(1)} kWh`,
+          energyConsumption: `${Math.round(plan.profile.energyConsumption * 10) / 10} kWh/100km`,
+          ...(elevation && {
+            elevationEnergy: `${climbEnergy >= 0 ? '+' : ''}${climbEnergy.toFixed(1)} kWh`
+          }),
+          homeChargingPrice: `${fmt.money(plan.profile.homeChargingPrice)}/kWh`,
+          publicChargingPrice: `${fmt.money(plan.profile.publicChargingPrice)}/kWh`
+        }
+      },
+      charging: {
+        stopsNeeded: plan.stops.length,
+        stops: plan.stops.map(stop => ({
+          ...stop,
+          distanceAlongRoute: fmt.distance(stop.distanceAlongRouteKm * 1000),
+          chargingTime: formatDuration(stop.chargingMinutes * 60)
+        })),
+        addedTime: {
+          seconds: chargingSeconds,
+          text: formatDuration(chargingSeconds)
+        },
+        arrivalCharge: `${plan.arrivalCharge}%`,
+        note: plan.stops.length > 0 ?
+          'Stop locations are approximate; use find_places with type "electric_vehicle_charging_station" to pick a charger nearby' :
+          'Destination is reachable on the starting charge'
+      },
+      route: {
+        distance: fmt.distance(route.distance),
+        duration: formatDuration(route.duration),
+        durationWithCharging: formatDuration(route.durationInTraffic + chargingSeconds),
+        summary: route.summary,
+        stops: route.legs.length + 1
+      },
+      metadata: {
+        timestamp: new Date().toISOString(),
+        units: fmt.units,
+        currency: fmt.currency,
+        assumptions: {
+          vehicleType: 'electric',
+          batteryCapacity: `${plan.profile.batteryCapacity} kWh`,
+          startingCharge: `${plan.profile.startingCharge}%`,
+          reserveCharge: `${plan.profile.reserveCharge}% kept on arrival at each charger`,
+          chargeTo: `${plan.profile.chargeTo}% at each public charger`,
+          chargingPower: `${plan.profile.chargingPower} kW average`,
+          energyConsumption: `${baseConsumption} kWh/100km on flat ground`,
+          ...(elevation && { elevation: elevationSummary }),
+          tollEstimate: tollAssumption
+        }
+      }
+    };
+  } else {
+    // Fuel inputs may be metric (L/100km, per liter) or imperial (MPG, per gallon)
+    const gallon = vehicleOptions.gallon || 'us';
+    const fuelEfficiency = vehicleOptions.fuelEfficiencyMpg ?
+      mpgToLitersPer100Km(vehicleOptions.fuelEfficiencyMpg, gallon) :
+      vehicleOptions.fuelEfficiency || 8.0; // L/100km
+    const fuelPrice = vehicleOptions.fuelPricePerGallon ?
+      pricePerGallonToPerLiter(vehicleOptions.fuelPricePerGallon, gallon) :
+      vehicleOptions.fuelPrice || 1.50; // per liter
+    
+    const climbFuel = elevation ? extraFuelForElevation(elevation, vehicleWeight) : 0;
+    const fuelNeeded = (distanceKm / 100) * fuelEfficiency + climbFuel;
+    const fuelCost = fuelNeeded * fuelPrice;
+    
+    const fuelNeededText = fmt.imperial ?
+      `${litersToGallons(fuelNeeded, gallon).toFixed(1)} gal` :
+      `${fuelNeeded.toFixed(1)} L`;
+    const fuelEfficiencyText = fmt.imperial ?
+      `${litersPer100KmToMpg(fuelEfficiency, gallon).toFixed(1)} MPG` :
+      `${Math.round(fuelEfficiency * 10) / 10} L/100km`;
+    const fuelPriceText = fmt.imperial ?
+      `${fmt.money(pricePerLiterToPerGallon(fuelPrice, gallon))}/gal` :
+      `${fmt.money(fuelPrice)}/L`;
+    
+    result = {
+      success: true,
+      costs: {
+        fuel: {
+          amount: Math.round(fuelCost * 100) / 100,
+          currency: fmt.currency,
+          text: fmt.money(fuelCost)
+        },
+        tolls: tollSummary,
+        total: {
+          amount: Math.round((fuelCost + tollCost) * 100) / 100,
+          currency: fmt.currency,
+          text: fmt.money(fuelCost + tollCost)
+        },
+        breakdown: {
+          distance: fmt.distance(route.distance),
+          fuelNeeded: fuelNeededText,
+          ...(elevation && {
+            elevationFuel: fmt.imperial ?
+              `+${litersToGallons(climbFuel, gallon).toFixed(1)} gal` :
+              `+${climbFuel.toFixed(1)} L`
+          }),
+          fuelEfficiency: fuelEfficiencyText,
+          fuelPrice: fuelPriceText
+        }
+      },
+      route: {
+        distance: fmt.distance(route.distance),
+        duration: formatDuration(route.duration),
+        summary: route.summary,
+        stops: route.legs.length + 1
+      },
+      metadata: {
+        timestamp: new Date().toISOString(),
+        units: fmt.units,
+        currency: fmt.currency,
+        assumptions: {
+          fuelEfficiency: fuelEfficiencyText,
+          fuelPrice: fuelPriceText,
+          ...(fmt.imperial && { gallon: gallon === 'imperial' ? 'Imperial gallon (4.55 L)' : 'US gallon (3.79 L)' }),
+          ...(elevation && { elevation: elevationSummary }),
+          tollEstimate: tollAssumption
+        }
+      }
+    };
+  }
+
+  return {
+    content: [
+      {
+        type: 'text',
+        text: JSON.stringify(result, null, 2)
+      }
+    ]
+  };
+}
+
+// Utility functions
+function formatDuration(seconds) {
+  if (!seconds || seconds < 0) return '0m';
+  
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  
+  if (hours > 0) {
+    return `${hours}h ${minutes}m`;
+  }
+  return `${minutes}m`;
+}
+
+function getTollNote(tolls) {
+  if (tolls.unpriced) return 'Route uses toll roads that are not in the toll table; toll cost unknown';
+  if (!tolls.hasTolls) return 'No toll roads on this route';
+  return `${tolls.items.length} toll charge(s) priced from the toll table`;
+}
+
+// Malformed times would otherwise only fail deep inside the Google Maps
+// service, without naming the argument
+function checkDateTime(value, field) {
+  if (value === undefined || value === 'now') return;
+  try {
+    parseDateTime(value);
+  } catch {
+    throw invalidArgument(field, 'must be an ISO 8601 date-time such as 2025-06-03T08:30');
+  }
+}
+
+// One page of a route's steps, each with the distance and time covered by
+// its end; step geometry is only decoded on request
+function stepsPage(route, { offset = 0, limit, includePath = false }, fmt) {
+  let distance = 0;
+  let duration = 0;
+  const totals = route.steps.map(step => {
+    distance += step.distanceMeters;
+    duration += step.durationSeconds;
+    return { distance, duration };
+  });
+
+  const steps = route.steps.slice(offset, offset + limit).map(({ polyline, ...step }, i) => {
+    const { distance, duration } = totals[offset + i];
+    return {
+      ...step,
+      cumulative: {
+        distanceMeters: distance,
+        distance: fmt.distance(distance),
+        durationSeconds: duration,
+        duration: formatDuration(duration)
+      },
+      ...(includePath && polyline && { path: decodePolyline(polyline) })
+    };
+  });
+  const nextOffset = offset + steps.length;
+  return {
+    steps,
+    page: {
+      offset,
+      returned: steps.length,
+      total: route.steps.length,
+      nextOffset: nextOffset < route.steps.length ? nextOffset : null
+    }
+  };
+}
+
+function formatLeg(leg, fmt) {
+  return {
+    legNumber: leg.legNumber,
+    from: leg.from,
+    to: leg.to,
+    distance: {
+      meters: leg.distance,
+      text: fmt.distance(leg.distance)
+    },
+    duration: {
+      seconds: leg.duration,
+      text: formatDuration(leg.duration)
+    },
+    durationInTraffic: {
+      seconds: leg.durationInTraffic,
+      text: formatDuration(leg.durationInTraffic)
+    }
+  };
+}
+
+function formatGeocodeCandidate(candidate) {
+  return {
+    address: candidate.address,
+    coordinates: {
+      latitude: candidate.location.lat,
+      longitude: candidate.location.lng,
+      text: `${candidate.location.lat},${candidate.location.lng}`
+    },
+    placeId: candidate.placeId,
+    locationType: candidate.locationType,
+    types: candidate.types,
+    partialMatch: candidate.partialMatch,
+    addressComponents: candidate.addressComponents
+  };
+}
+
+function getTrafficCondition(trafficData) {
+  const delay = trafficData.durationInTraffic - trafficData.duration;
+  const ratio = delay / trafficData.duration;
+  
+  if (ratio < 0.1) return 'light';
+  if (ratio < 0.3) return 'moderate';
+  if (ratio < 0.5) return 'heavy';
+  return 'severe';
+}
+
+function findBestRoute(routes, labels) {
+  const fastest = routes.reduce((best, current, index) => 
+    current.durationInTraffic < best.route.durationInTraffic ? 
+    { route: current, index, label: labels[index] } : best
+  , { route: routes[0], index: 0, label: labels[0] });
+  
+  // Just enough to identify the route; the full candidate is listed in routes
+  return {
+    recommended: {
+      index: fastest.index,
+      label: fastest.label,
+      durationInTraffic: {
+        seconds: fastest.route.durationInTraffic,
+        text: formatDuration(fastest.route.durationInTraffic)
+      }
+    },
+    reason: 'Fastest travel time considering current traffic conditions',
+    timeSaved: routes[0].durationInTraffic - fastest.route.durationInTraffic
+  };
+}
+
+function findFastestRoute(routes, labels) {
+  const fastest = routes.reduce((best, current, index) => 
+    current.durationInTraffic < best.route.durationInTraffic ? 
+    { route: current, index, label: labels[index] } : best
+  , { route: routes[0], index: 0, label: labels[0] });
+  
+  return {
+    label: fastest.label,
+    duration: formatDuration(fastest.route.durationInTraffic)
+  };
+}
+
+// Fastest route that pays tolls vs fastest toll-free route
+function compareTollOptions(routes, labels, tollEstimates, fmt) {
+  const fastest = (candidates) => candidates.reduce((best, current) =>
+    !best || current.route.durationInTraffic < best.route.durationInTraffic ? current : best
+  , null);
+  
+  const candidates = routes.map((route, index) => ({ route, label: labels[index], tolls: tollEstimates[index] }));
+  const withTolls = fastest(candidates.filter(candidate => candidate.tolls.hasTolls));
+  const withoutTolls = fastest(candidates.filter(candidate => !candidate.tolls.hasTolls));
+  
+  if (!withTolls || !withoutTolls) {
+    return null;
+  }
+  
+  const extraTime = withoutTolls.route.durationInTraffic - withTolls.route.durationInTraffic;
+  return {
+    withTolls: {
+      label: withTolls.label,
+      duration: formatDuration(withTolls.route.durationInTraffic),
+      tollCost: fmt.money(withTolls.tolls.amount)
+    },
+    withoutTolls: {
+      label: withoutTolls.label,
+      duration: formatDuration(withoutTolls.route.durationInTraffic)
+    },
+    tollCostDifference: {
+      amount: withTolls.tolls.amount,
+      currency: withTolls.tolls.currency,
+      text: withTolls.tolls.unpriced ? 'unknown' : fmt.money(withTolls.tolls.amount)
+    },
+    extraTimeWithoutTolls: {
+      seconds: extraTime,
+      text: formatDuration(extraTime)
+    }
+  };
+}
+
+function findShortestRoute(routes, labels, fmt) {
+  const shortest = routes.reduce((best, current, index) => 
+    current.distance < best.route.distance ? 
+    { route: current, index, label: labels[index] } : best
+  , { route: routes[0], index: 0, label: labels[0] });
+  
+  return {
+    label: shortest.label,
+    distance: fmt.distance(shortest.route.distance)
+  };
+}
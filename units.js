@@ -0,0 +1,75 @@
+// Output formatting for distance units, currencies and languages
+import { invalidArgument } from './validation.js';
+
+const METERS_PER_MILE = 1609.344;
+const METERS_PER_FOOT = 0.3048;
+const LITERS_PER_GALLON = {
+  us: 3.785411784,
+  imperial: 4.54609
+};
+
+export function formatMoney(amount, currency = 'USD', language = 'en') {
+  return new Intl.NumberFormat(language, { style: 'currency', currency }).format(Math.round(amount * 100) / 100);
+}
+
+// Formatter bound to one request's units, currency and language
+// Intl formats any well-formed three-letter code, known currency or not
+const CURRENCIES = new Set(Intl.supportedValuesOf('currency'));
+
+export function createFormatter({ units = 'metric', currency = 'USD', language = 'en' } = {}) {
+  const code = currency.toUpperCase();
+  try {
+    formatMoney(0, 'USD', language);
+  } catch {
+    throw invalidArgument('language', `"${language}" is not a supported language tag`);
+  }
+  if (!CURRENCIES.has(code)) {
+    throw invalidArgument('currency', `"${currency}" is not a supported ISO 4217 currency code`);
+  }
+
+  const imperial = units === 'imperial';
+
+  return {
+    units: imperial ? 'imperial' : 'metric',
+    currency: code,
+    language,
+    imperial,
+    distance(meters) {
+      return imperial ?
+        `${(meters / METERS_PER_MILE).toFixed(1)} mi` :
+        `${(meters / 1000).toFixed(1)} km`;
+    },
+    height(meters) {
+      return imperial ?
+        `${Math.round(meters / METERS_PER_FOOT)} ft` :
+        `${Math.round(meters)} m`;
+    },
+    money(amount) {
+      return formatMoney(amount, code, language);
+    }
+  };
+}
+
+export function metersToMiles(meters) {
+  return meters / METERS_PER_MILE;
+}
+
+export function mpgToLitersPer100Km(mpg, gallon = 'us') {
+  return (100 * LITERS_PER_GALLON[gallon]) / (mpg * METERS_PER_MILE / 1000);
+}
+
+export function litersPer100KmToMpg(litersPer100Km, gallon = 'us') {
+  return (100 * LITERS_PER_GALLON[gallon]) / (litersPer100Km * METERS_PER_MILE / 1000);
+}
+
+export function litersToGallons(liters, gallon = 'us') {
+  return liters / LITERS_PER_GALLON[gallon];
+}
+
+export function pricePerGallonToPerLiter(price, gallon = 'us') {
+  return price / LITERS_PER_GALLON[gallon];
+}
+
+export function pricePerLiterToPerGallon(price, gallon = 'us') {
+  return price * LITERS_PER_GALLON[gallon];
+}
@@ -0,0 +1,102 @@
+// Tool argument validation against the JSON Schema subset the tool
+// inputSchemas use: type, properties, required, enum, minimum/maximum,
+// minItems/maxItems and items. Problems come back as { code, field, message }
+// so callers can tell exactly which argument to fix.
+
+const TYPE_NAMES = {
+  string: 'a string',
+  number: 'a number',
+  integer: 'an integer',
+  boolean: 'true or false',
+  array: 'an array',
+  object: 'an object'
+};
+
+export class ValidationError extends Error {
+  constructor(errors) {
+    super(errors.map(error => `${error.field}: ${error.message}`).join('; '));
+    this.name = 'ValidationError';
+    this.code = 'INVALID_ARGUMENTS';
+    this.errors = errors;
+  }
+}
+
+// For checks a schema can't express, such as one argument depending on another
+export function invalidArgument(field, message, code = 'INVALID_VALUE') {
+  return new ValidationError([{ code, field, message }]);
+}
+
+function matchesType(value, type) {
+  switch (type) {
+    case 'string':
+      return typeof value === 'string';
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    case 'integer':
+      return Number.isInteger(value);
+    case 'boolean':
+      return typeof value === 'boolean';
+    case 'array':
+      return Array.isArray(value);
+    case 'object':
+      return value !== null && typeof value === 'object' && !Array.isArray(value);
+    default:
+      return true;
+  }
+}
+
+function childField(parent, key) {
+  if (typeof key === 'number') return `${parent}[${key}]`;
+  return parent ? `${parent}.${key}` : key;
+}
+
+function check(schema, value, field, errors) {
+  if (schema.type && !matchesType(value, schema.type)) {
+    errors.push({ code: 'INVALID_TYPE', field, message: `must be ${TYPE_NAMES[schema.type] || schema.type}` });
+    return;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ code: 'INVALID_VALUE', field, message: `must be one of ${schema.enum.join(', ')}` });
+  }
+  if (schema.minimum !== undefined && value < schema.minimum) {
+    errors.push({ code: 'OUT_OF_RANGE', field, message: `must be at least ${schema.minimum}` });
+  }
+  if (schema.maximum !== undefined && value > schema.maximum) {
+    errors.push({ code: 'OUT_OF_RANGE', field, message: `must be at most ${schema.maximum}` });
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push({ code: 'TOO_FEW_ITEMS', field, message: `must have at least ${schema.minItems} items` });
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push({ code: 'TOO_MANY_ITEMS', field, message: `must have at most ${schema.maxItems} items` });
+    }
+    if (schema.items) {
+      value.forEach((item, i) => check(schema.items, item, childField(field, i), errors));
+    }
+  }
+
+  if (schema.properties && matchesType(value, 'object')) {
+    // Blank strings count as missing, since an empty location can't be routed
+    const missing = (schema.required || []).filter(key =>
+      value[key] === undefined || (typeof value[key] === 'string' && !value[key].trim()));
+    for (const key of missing) {
+      errors.push({ code: 'REQUIRED', field: childField(field, key), message: 'is required' });
+    }
+    for (const [key, propertySchema] of Object.entries(schema.properties)) {
+      if (value[key] !== undefined && !missing.includes(key)) {
+        check(propertySchema, value[key], childField(field, key), errors);
+      }
+    }
+  }
+}
+
+// All problems with `args`, or an empty list when they match the schema;
+// properties the schema doesn't declare are left alone
+export function validateArguments(schema, args) {
+  const errors = [];
+  check(schema, args, '', errors);
+  return errors.map(error => ({ ...error, field: error.field || 'arguments' }));
+}